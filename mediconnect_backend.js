@@ -6,7 +6,9 @@
 // ├── config/
 // │   └── db.js
 // ├── middleware/
-// │   └── auth.js
+// │   ├── auth.js
+// │   ├── rateLimit.js
+// │   └── upload.js
 // ├── routes/
 // │   ├── userRoutes.js
 // │   ├── hospitalRoutes.js
@@ -18,7 +20,35 @@
 // │   ├── hospitalController.js
 // │   ├── pharmacyController.js
 // │   ├── doctorController.js
-// │   └── medicineController.js
+// │   ├── medicineController.js
+// │   ├── appointmentController.js
+// │   ├── scheduleExceptionController.js
+// │   ├── notificationController.js
+// │   ├── batchController.js
+// │   ├── stockLedgerController.js
+// │   ├── reservationController.js
+// │   ├── prescriptionController.js
+// │   ├── sessionController.js
+// │   └── accountController.js
+// ├── utils/
+// │   ├── schedule.js
+// │   ├── availabilityEvents.js
+// │   ├── notifications.js
+// │   ├── geo.js
+// │   ├── pagination.js
+// │   ├── fuzzySearch.js
+// │   ├── inventory.js
+// │   ├── expirySweep.js
+// │   ├── csv.js
+// │   ├── spreadsheet.js
+// │   ├── reservations.js
+// │   ├── storage.js
+// │   ├── medicineMatcher.js
+// │   ├── sessions.js
+// │   ├── mailer.js
+// │   └── accountTokens.js
+// ├── uploads/ (prescription files, local storage only)
+// ├── mail/ (outgoing mail, file transport only)
 // └── package.json
 
 // ============================================
@@ -41,7 +71,9 @@
     "jsonwebtoken": "^9.0.2",
     "dotenv": "^16.3.1",
     "cors": "^2.8.5",
-    "express-validator": "^7.0.1"
+    "express-validator": "^7.0.1",
+    "multer": "^2.4.0",
+    "exceljs": "^4.4.0"
   },
   "devDependencies": {
     "nodemon": "^3.0.1"
@@ -60,14 +92,28 @@ DB_USER=postgres
 DB_PASSWORD=your_password
 DB_NAME=mediconnect
 JWT_SECRET=your_super_secret_jwt_key_change_this_in_production
-JWT_EXPIRE=7d
+ACCESS_TOKEN_EXPIRE=15m
+REFRESH_TOKEN_DAYS=30
 NODE_ENV=development
+EXPIRY_SWEEP_INTERVAL_MINUTES=60
+RESERVATION_HOLD_MINUTES=120
+RESERVATION_SWEEP_INTERVAL_MINUTES=5
+STORAGE_DRIVER=local
+UPLOAD_DIR=./uploads
+PRESCRIPTION_VALIDITY_DAYS=30
+APP_URL=http://localhost:5500
+MAIL_TRANSPORT=console
+MAIL_DIR=./mail
+MAIL_FROM=MediConnect <no-reply@mediconnect.local>
+EMAIL_VERIFICATION_HOURS=48
+PASSWORD_RESET_MINUTES=30
 */
 
 // ============================================
 // 3. config/db.js - Database Configuration
 // ============================================
 const { Pool } = require('pg');
+const { FUZZY_MATCH_THRESHOLD } = require('../utils/fuzzySearch');
 require('dotenv').config();
 
 const pool = new Pool({
@@ -78,8 +124,11 @@ const pool = new Pool({
   database: process.env.DB_NAME,
 });
 
-pool.on('connect', () => {
+pool.on('connect', (client) => {
   console.log('✅ Database connected successfully');
+  // Cut-off for the trigram <% operator used by fuzzy search
+  client.query(`SET pg_trgm.word_similarity_threshold = ${FUZZY_MATCH_THRESHOLD}`)
+    .catch((error) => console.error('❌ Could not set the fuzzy search threshold:', error));
 });
 
 pool.on('error', (err) => {
@@ -87,12 +136,37 @@ pool.on('error', (err) => {
   process.exit(-1);
 });
 
+// Run a callback inside a transaction on a dedicated client.
+// Commits when the callback resolves, rolls back and rethrows when it throws.
+pool.withTransaction = async (callback) => {
+  const client = await pool.connect();
+  let brokenClient;
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    // A failed ROLLBACK must not hide the error that caused it; the client is discarded instead
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackError) {
+      console.error('❌ Transaction rollback failed:', rollbackError);
+      brokenClient = rollbackError;
+    }
+    throw error;
+  } finally {
+    client.release(brokenClient);
+  }
+};
+
 module.exports = pool;
 
 // ============================================
 // 4. middleware/auth.js - Authentication Middleware
 // ============================================
 const jwt = require('jsonwebtoken');
+const { isSessionActive } = require('../utils/sessions');
 
 const authMiddleware = (userType) => {
   return async (req, res, next) => {
@@ -109,6 +183,14 @@ const authMiddleware = (userType) => {
 
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      // Stream tokens only open the availability stream
+      if (decoded.aud) {
+        return res.status(401).json({ 
+          success: false, 
+          message: 'Invalid token.' 
+        });
+      }
       
       // Check user type if specified
       if (userType && decoded.userType !== userType) {
@@ -118,6 +200,15 @@ const authMiddleware = (userType) => {
         });
       }
 
+      // Tokens issued before logging out keep a valid signature until they expire, so the
+      // session they belong to has to still be open
+      if (!decoded.sid || !(await isSessionActive(decoded.sid))) {
+        return res.status(401).json({ 
+          success: false, 
+          message: 'Session has ended. Please log in again.' 
+        });
+      }
+
       req.user = decoded;
       next();
     } catch (error) {
@@ -135,14 +226,81 @@ module.exports = authMiddleware;
 // 5. controllers/userController.js - User Controller
 // ============================================
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const pool = require('../config/db');
+const { createSession } = require('../utils/sessions');
+const { sendVerificationEmail } = require('../utils/accountTokens');
+const { parseGeoQuery, distanceSql, withinRadiusSql } = require('../utils/geo');
+const { parseListOptions, fetchPage, buildPagination, fetchFacets } = require('../utils/pagination');
+const { DAY_NAMES, toMinutes, getDayName } = require('../utils/schedule');
+const { addTextTerms, fuzzyMatchSql, relevanceSql, suggestTerms } = require('../utils/fuzzySearch');
+const { toSearchQuery, matchMedicineList } = require('../utils/medicineMatcher');
 
-// Generate JWT Token
-const generateToken = (id, userType) => {
-  return jwt.sign({ id, userType }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE,
-  });
+const MAX_MATCH_ITEMS = 10;
+
+const DOCTOR_SEARCH_SORTS = {
+  name: 'd.full_name',
+  fee: 'd.consultation_fee',
+  experience_years: 'd.experience_years'
+};
+
+const MEDICINE_SEARCH_SORTS = {
+  name: 'm.medicine_name',
+  price: 'm.price',
+  expiry_date: 'm.expiry_date',
+  stock_quantity: 'm.stock_quantity'
+};
+
+// Free-text search params and the columns each one is fuzzily matched against
+const DOCTOR_TEXT_FIELDS = {
+  doctor_name: ['d.full_name'],
+  specialization: ['d.specialization'],
+  hospital_name: ['h.hospital_name']
+};
+
+const MEDICINE_TEXT_FIELDS = {
+  medicine_name: ['m.medicine_name', 'm.generic_name'],
+  manufacturer: ['m.manufacturer']
+};
+
+// Where "did you mean" suggestions are drawn from for each free-text param
+const DOCTOR_SUGGESTION_SOURCES = {
+  doctor_name: 'SELECT DISTINCT full_name as value FROM doctors',
+  specialization: 'SELECT DISTINCT specialization as value FROM doctors',
+  hospital_name: 'SELECT DISTINCT hospital_name as value FROM hospitals WHERE is_active = true'
+};
+
+const MEDICINE_SUGGESTION_SOURCES = {
+  medicine_name: 'SELECT medicine_name as value FROM medicines UNION SELECT generic_name FROM medicines',
+  manufacturer: 'SELECT DISTINCT manufacturer as value FROM medicines'
+};
+
+const RELEVANCE_DEFAULT_ORDER = { relevance: 'desc' };
+
+// Contact details left out of public (unauthenticated) search results
+const DOCTOR_CONTACT_FIELDS = ['phone', 'email', 'hospital_phone'];
+const MEDICINE_CONTACT_FIELDS = ['pharmacy_phone'];
+
+const MIN_SUGGESTION_PREFIX = 2;
+const SUGGESTION_LIMIT = 5;
+const MAX_SUGGESTION_LIMIT = 10;
+
+// Numeric value of an optional query filter: undefined when absent, NaN when invalid
+const toNumberFilter = (value) => (value === undefined || value === '' ? undefined : Number(value));
+
+// available_on accepts a weekday ("Mon", "monday") or a date ("2024-05-20")
+const parseAvailableOn = (value) => {
+  if (getDayName(value)) {
+    return { day: getDayName(value), date: value };
+  }
+  const day = DAY_NAMES.find((name) => name.toLowerCase() === String(value).trim().slice(0, 3).toLowerCase());
+  return day ? { day, date: null } : null;
+};
+
+// Copy of a row without the given fields
+const omitFields = (row, fields) => {
+  const copy = { ...row };
+  fields.forEach((field) => delete copy[field]);
+  return copy;
 };
 
 // User Registration
@@ -163,17 +321,18 @@ const registerUser = async (req, res) => {
     // Insert user
     const result = await pool.query(
       `INSERT INTO users (full_name, email, password_hash, phone, address, city, state, pincode, date_of_birth, gender) 
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING user_id, full_name, email`,
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING user_id, full_name, email, email_verified`,
       [full_name, email, password_hash, phone, address, city, state, pincode, date_of_birth, gender]
     );
 
     const user = result.rows[0];
-    const token = generateToken(user.user_id, 'user');
+    await sendVerificationEmail('user', user).catch((error) => console.error(error));
+    const session = await createSession('user', user.user_id, req.headers['user-agent']);
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
-      data: { user, token }
+      data: { user, ...session }
     });
   } catch (error) {
     console.error(error);
@@ -200,7 +359,7 @@ const loginUser = async (req, res) => {
       return res.status(401).json({ success: false, message: 'Invalid credentials' });
     }
 
-    const token = generateToken(user.user_id, 'user');
+    const session = await createSession('user', user.user_id, req.headers['user-agent']);
 
     res.json({
       success: true,
@@ -209,9 +368,10 @@ const loginUser = async (req, res) => {
         user: {
           user_id: user.user_id,
           full_name: user.full_name,
-          email: user.email
+          email: user.email,
+          email_verified: user.email_verified
         },
-        token
+        ...session
       }
     });
   } catch (error) {
@@ -221,24 +381,81 @@ const loginUser = async (req, res) => {
 };
 
 // Search Doctors
+// Repeated parameters (?city=a&city=b) arrive as arrays; returns the first such name
+const findRepeatedParam = (query, names) => names.find((name) => query[name] !== undefined && typeof query[name] !== 'string');
+
 const searchDoctors = async (req, res) => {
   try {
-    const { specialization, city, hospital_name } = req.query;
+    const { city, available_on, available_at } = req.query;
+
+    const repeated = findRepeatedParam(req.query, ['city', 'available_on', 'available_at', ...Object.keys(DOCTOR_TEXT_FIELDS)]);
+    if (repeated) {
+      return res.status(400).json({ success: false, message: `${repeated} can be given only once` });
+    }
+    const minFee = toNumberFilter(req.query.min_fee);
+    const maxFee = toNumberFilter(req.query.max_fee);
+    const minExperience = toNumberFilter(req.query.min_experience);
+
+    if ([minFee, maxFee, minExperience].some(Number.isNaN)) {
+      return res.status(400).json({ success: false, message: 'min_fee, max_fee and min_experience must be numbers' });
+    }
+
+    const availableOn = available_on ? parseAvailableOn(available_on) : null;
+    if (available_on && !availableOn) {
+      return res.status(400).json({ success: false, message: 'available_on must be a weekday (Mon-Sun) or a date (YYYY-MM-DD)' });
+    }
+
+    if (available_at && toMinutes(available_at) === null) {
+      return res.status(400).json({ success: false, message: 'available_at must be a time (HH:MM)' });
+    }
+
+    const geo = parseGeoQuery(req.query);
+    if (geo && geo.error) {
+      return res.status(400).json({ success: false, message: geo.error });
+    }
+
+    const params = [];
+    let distanceColumn = '';
+    let relevanceColumn = '';
+
+    if (geo) {
+      distanceColumn = `, ${distanceSql('h', '$1', '$2')} as distance_km`;
+      params.push(geo.lat, geo.lng);
+    }
+
+    const textTerms = addTextTerms(req.query, DOCTOR_TEXT_FIELDS, params);
+    if (textTerms.length > 0) {
+      relevanceColumn = `, ${relevanceSql(textTerms)} as relevance`;
+    }
+
+    let paramCount = params.length + 1;
+
+    // Distance and relevance sorting are only possible when a location or search text was sent
+    const sortOptions = { ...DOCTOR_SEARCH_SORTS };
+    if (geo) {
+      sortOptions.distance = 'distance_km';
+    }
+    if (textTerms.length > 0) {
+      sortOptions.relevance = 'relevance';
+    }
+
+    const defaultSort = textTerms.length > 0 ? 'relevance' : geo ? 'distance' : 'name';
+    const listOptions = parseListOptions(req.query, sortOptions, defaultSort, RELEVANCE_DEFAULT_ORDER);
+    if (listOptions.error) {
+      return res.status(400).json({ success: false, message: listOptions.error });
+    }
     
     let query = `
-      SELECT d.*, h.hospital_name, h.address, h.city, h.phone as hospital_phone
+      SELECT d.*, h.hospital_name, h.address, h.city, h.phone as hospital_phone,
+             h.latitude, h.longitude${distanceColumn}${relevanceColumn}
       FROM doctors d
       JOIN hospitals h ON d.hospital_id = h.hospital_id
       WHERE d.is_available = true AND h.is_active = true
     `;
-    const params = [];
-    let paramCount = 1;
 
-    if (specialization) {
-      query += ` AND d.specialization ILIKE $${paramCount}`;
-      params.push(`%${specialization}%`);
-      paramCount++;
-    }
+    textTerms.forEach((term) => {
+      query += ` AND ${fuzzyMatchSql(term)}`;
+    });
 
     if (city) {
       query += ` AND h.city ILIKE $${paramCount}`;
@@ -246,20 +463,72 @@ const searchDoctors = async (req, res) => {
       paramCount++;
     }
 
-    if (hospital_name) {
-      query += ` AND h.hospital_name ILIKE $${paramCount}`;
-      params.push(`%${hospital_name}%`);
+    if (minFee !== undefined) {
+      query += ` AND d.consultation_fee >= $${paramCount}`;
+      params.push(minFee);
+      paramCount++;
+    }
+
+    if (maxFee !== undefined) {
+      query += ` AND d.consultation_fee <= $${paramCount}`;
+      params.push(maxFee);
       paramCount++;
     }
 
-    query += ' ORDER BY d.full_name';
+    if (minExperience !== undefined) {
+      query += ` AND d.experience_years >= $${paramCount}`;
+      params.push(minExperience);
+      paramCount++;
+    }
 
-    const result = await pool.query(query, params);
+    if (availableOn) {
+      query += ` AND EXISTS (
+        SELECT 1 FROM unnest(string_to_array(d.available_days, ',')) as day
+        WHERE LEFT(TRIM(day), 3) ILIKE $${paramCount}
+      )`;
+      params.push(availableOn.day);
+      paramCount++;
+    }
+
+    // The requested date (today when none is given) has to be free of leave/holiday exceptions
+    let exceptionDate = 'CURRENT_DATE';
+    if (availableOn && availableOn.date) {
+      exceptionDate = `$${paramCount}::date`;
+      params.push(availableOn.date);
+      paramCount++;
+    }
+    query += ` AND NOT EXISTS (
+      SELECT 1 FROM schedule_exceptions e
+      WHERE e.hospital_id = d.hospital_id
+        AND (e.doctor_id IS NULL OR e.doctor_id = d.doctor_id)
+        AND ${exceptionDate} BETWEEN e.start_date AND e.end_date
+    )`;
+
+    if (available_at) {
+      query += ` AND d.available_time_from <= $${paramCount}::time AND d.available_time_to > $${paramCount}::time`;
+      params.push(available_at);
+      paramCount++;
+    }
+
+    if (geo) {
+      query += ` AND ${withinRadiusSql('h', '$1', '$2', `$${paramCount}`)}`;
+      params.push(geo.radiusKm);
+      paramCount++;
+    }
+
+    const { rows, total } = await fetchPage(pool, query, params, listOptions, 'd.doctor_id');
+    const facets = await fetchFacets(pool, query, params, ['specialization', 'city']);
+    const didYouMean = total === 0 && textTerms.length > 0
+      ? await suggestTerms(pool, textTerms, DOCTOR_SUGGESTION_SOURCES)
+      : null;
 
     res.json({
       success: true,
-      count: result.rows.length,
-      data: result.rows
+      count: rows.length,
+      pagination: buildPagination(total, listOptions),
+      facets,
+      did_you_mean: didYouMean,
+      data: req.publicView ? rows.map((row) => omitFields(row, DOCTOR_CONTACT_FIELDS)) : rows
     });
   } catch (error) {
     console.error(error);
@@ -270,22 +539,72 @@ const searchDoctors = async (req, res) => {
 // Search Medicines
 const searchMedicines = async (req, res) => {
   try {
-    const { medicine_name, city, category } = req.query;
+    const { city, category, dosage_form, strength, requires_prescription } = req.query;
+
+    const repeated = findRepeatedParam(req.query, 
+      ['city', 'category', 'dosage_form', 'strength', 'requires_prescription', ...Object.keys(MEDICINE_TEXT_FIELDS)]);
+    if (repeated) {
+      return res.status(400).json({ success: false, message: `${repeated} can be given only once` });
+    }
+    const minPrice = toNumberFilter(req.query.min_price);
+    const maxPrice = toNumberFilter(req.query.max_price);
+
+    if ([minPrice, maxPrice].some(Number.isNaN)) {
+      return res.status(400).json({ success: false, message: 'min_price and max_price must be numbers' });
+    }
+
+    if (requires_prescription !== undefined && !['true', 'false'].includes(requires_prescription)) {
+      return res.status(400).json({ success: false, message: 'requires_prescription must be true or false' });
+    }
+
+    const geo = parseGeoQuery(req.query);
+    if (geo && geo.error) {
+      return res.status(400).json({ success: false, message: geo.error });
+    }
+
+    const params = [];
+    let distanceColumn = '';
+    let relevanceColumn = '';
+
+    if (geo) {
+      distanceColumn = `, ${distanceSql('p', '$1', '$2')} as distance_km`;
+      params.push(geo.lat, geo.lng);
+    }
+
+    const textTerms = addTextTerms(req.query, MEDICINE_TEXT_FIELDS, params);
+    if (textTerms.length > 0) {
+      relevanceColumn = `, ${relevanceSql(textTerms)} as relevance`;
+    }
+
+    let paramCount = params.length + 1;
+
+    // Distance and relevance sorting are only possible when a location or search text was sent
+    const sortOptions = { ...MEDICINE_SEARCH_SORTS };
+    if (geo) {
+      sortOptions.distance = 'distance_km';
+    }
+    if (textTerms.length > 0) {
+      sortOptions.relevance = 'relevance';
+    }
+
+    const defaultSort = textTerms.length > 0 ? 'relevance' : geo ? 'distance' : 'name';
+    const listOptions = parseListOptions(req.query, sortOptions, defaultSort, RELEVANCE_DEFAULT_ORDER);
+    if (listOptions.error) {
+      return res.status(400).json({ success: false, message: listOptions.error });
+    }
     
     let query = `
-      SELECT m.*, p.pharmacy_name, p.address, p.city, p.phone as pharmacy_phone
+      SELECT m.*, p.pharmacy_name, p.address, p.city, p.phone as pharmacy_phone,
+             p.latitude, p.longitude${distanceColumn}${relevanceColumn}
       FROM medicines m
       JOIN pharmacies p ON m.pharmacy_id = p.pharmacy_id
       WHERE m.is_available = true AND m.stock_quantity > 0 AND p.is_active = true
+        AND (m.expiry_date IS NULL OR m.expiry_date >= CURRENT_DATE)
     `;
-    const params = [];
-    let paramCount = 1;
 
-    if (medicine_name) {
-      query += ` AND (m.medicine_name ILIKE $${paramCount} OR m.generic_name ILIKE $${paramCount})`;
-      params.push(`%${medicine_name}%`);
-      paramCount++;
-    }
+    textTerms.forEach((term) => {
+      query += ` AND ${fuzzyMatchSql(term)}`;
+    });
 
     if (city) {
       query += ` AND p.city ILIKE $${paramCount}`;
@@ -299,14 +618,294 @@ const searchMedicines = async (req, res) => {
       paramCount++;
     }
 
-    query += ' ORDER BY m.medicine_name';
+    if (dosage_form) {
+      query += ` AND m.dosage_form ILIKE $${paramCount}`;
+      params.push(`%${dosage_form}%`);
+      paramCount++;
+    }
+
+    if (strength) {
+      query += ` AND REPLACE(m.strength, ' ', '') ILIKE $${paramCount}`;
+      params.push(strength.replace(/\s+/g, ''));
+      paramCount++;
+    }
 
-    const result = await pool.query(query, params);
+    if (requires_prescription !== undefined) {
+      query += ` AND COALESCE(m.requires_prescription, false) = $${paramCount}`;
+      params.push(requires_prescription === 'true');
+      paramCount++;
+    }
+
+    if (minPrice !== undefined) {
+      query += ` AND m.price >= $${paramCount}`;
+      params.push(minPrice);
+      paramCount++;
+    }
+
+    if (maxPrice !== undefined) {
+      query += ` AND m.price <= $${paramCount}`;
+      params.push(maxPrice);
+      paramCount++;
+    }
+
+    if (geo) {
+      query += ` AND ${withinRadiusSql('p', '$1', '$2', `$${paramCount}`)}`;
+      params.push(geo.radiusKm);
+      paramCount++;
+    }
+
+    const { rows, total } = await fetchPage(pool, query, params, listOptions, 'm.medicine_id');
+    const facets = await fetchFacets(pool, query, params, ['category', 'dosage_form', 'manufacturer']);
+    const didYouMean = total === 0 && textTerms.length > 0
+      ? await suggestTerms(pool, textTerms, MEDICINE_SUGGESTION_SOURCES)
+      : null;
 
     res.json({
       success: true,
-      count: result.rows.length,
-      data: result.rows
+      count: rows.length,
+      pagination: buildPagination(total, listOptions),
+      facets,
+      did_you_mean: didYouMean,
+      data: req.publicView ? rows.map((row) => omitFields(row, MEDICINE_CONTACT_FIELDS)) : rows
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Compare Generic Equivalents
+// Groups in-stock products sharing a generic name and strength across pharmacies
+const compareGenericMedicines = async (req, res) => {
+  try {
+    const { medicine_id, medicine_name, city } = req.query;
+
+    if (!medicine_id && !medicine_name) {
+      return res.status(400).json({ success: false, message: 'medicine_id or medicine_name is required' });
+    }
+
+    let generics;
+    let strength = null;
+
+    if (medicine_id) {
+      const reference = await pool.query(
+        'SELECT generic_name, strength FROM medicines WHERE medicine_id = $1',
+        [medicine_id]
+      );
+
+      if (reference.rows.length === 0) {
+        return res.status(404).json({ success: false, message: 'Medicine not found' });
+      }
+
+      if (!reference.rows[0].generic_name) {
+        return res.status(400).json({ success: false, message: 'This medicine has no generic name to compare against' });
+      }
+
+      generics = [reference.rows[0].generic_name.toLowerCase()];
+      strength = reference.rows[0].strength;
+    } else {
+      const matches = await pool.query(
+        `SELECT DISTINCT LOWER(generic_name) as generic_name FROM medicines
+         WHERE generic_name IS NOT NULL AND (medicine_name ILIKE $1 OR generic_name ILIKE $1)
+         LIMIT 10`,
+        [`%${medicine_name}%`]
+      );
+      generics = matches.rows.map((row) => row.generic_name);
+    }
+
+    let query = `
+      SELECT m.medicine_id, m.medicine_name, m.generic_name, m.manufacturer, m.dosage_form, m.strength,
+             m.price, m.stock_quantity, m.requires_prescription,
+             p.pharmacy_id, p.pharmacy_name, p.address, p.city
+      FROM medicines m
+      JOIN pharmacies p ON m.pharmacy_id = p.pharmacy_id
+      WHERE m.is_available = true AND m.stock_quantity > 0 AND p.is_active = true
+        AND (m.expiry_date IS NULL OR m.expiry_date >= CURRENT_DATE)
+        AND LOWER(m.generic_name) = ANY($1)
+    `;
+    const params = [generics];
+    let paramCount = 2;
+
+    if (strength) {
+      query += ` AND LOWER(REPLACE(m.strength, ' ', '')) = LOWER(REPLACE($${paramCount}, ' ', ''))`;
+      params.push(strength);
+      paramCount++;
+    }
+
+    if (city) {
+      query += ` AND p.city ILIKE $${paramCount}`;
+      params.push(`%${city}%`);
+      paramCount++;
+    }
+
+    query += ' ORDER BY m.price, m.medicine_name';
+
+    const result = generics.length > 0 ? await pool.query(query, params) : { rows: [] };
+
+    // Rows are already sorted by price, so the first product of each group is the cheapest
+    const groups = new Map();
+    result.rows.forEach((row) => {
+      const key = `${row.generic_name.toLowerCase()}|${(row.strength || '').replace(/\s+/g, '').toLowerCase()}`;
+      if (!groups.has(key)) {
+        groups.set(key, { generic_name: row.generic_name, strength: row.strength, products: [] });
+      }
+      groups.get(key).products.push(row);
+    });
+
+    const data = [...groups.values()].map((group) => {
+      const prices = group.products.map((product) => Number(product.price));
+      const cheapest = Math.min(...prices);
+      const highest = Math.max(...prices);
+
+      return {
+        generic_name: group.generic_name,
+        strength: group.strength,
+        cheapest_price: cheapest,
+        highest_price: highest,
+        price_spread: Number((highest - cheapest).toFixed(2)),
+        brand_count: new Set(group.products.map((product) => product.medicine_name.toLowerCase())).size,
+        pharmacy_count: new Set(group.products.map((product) => product.pharmacy_id)).size,
+        products: group.products.map((product) => ({
+          ...product,
+          extra_cost: Number((Number(product.price) - cheapest).toFixed(2))
+        }))
+      };
+    });
+
+    res.json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Fill a Medicine List
+// Pharmacies ranked by how many of the medicines they can fully supply, then total cost and
+// distance, with two-pharmacy splits when no single pharmacy has everything
+const matchMedicines = async (req, res) => {
+  try {
+    const { items, city } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ success: false, message: 'items must be a non-empty array' });
+    }
+
+    if (items.length > MAX_MATCH_ITEMS) {
+      return res.status(400).json({ success: false, message: `At most ${MAX_MATCH_ITEMS} medicines can be matched at once` });
+    }
+
+    const invalid = items.some((item) => !item || typeof item.medicine_name !== 'string' || !item.medicine_name.trim() ||
+      (item.quantity !== undefined && !(Number.isInteger(item.quantity) && item.quantity > 0)));
+    if (invalid) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Each item needs a medicine_name and, if given, a positive whole quantity' 
+      });
+    }
+
+    const notText = items.some((item) => ['generic_name', 'strength']
+      .some((field) => item[field] !== undefined && item[field] !== null && typeof item[field] !== 'string'));
+    if (notText) {
+      return res.status(400).json({ success: false, message: 'generic_name and strength must be strings when given' });
+    }
+
+    const geo = parseGeoQuery(req.body);
+    if (geo && geo.error) {
+      return res.status(400).json({ success: false, message: geo.error });
+    }
+
+    const list = items.map((item) => ({
+      medicine_name: item.medicine_name.trim(),
+      generic_name: item.generic_name || null,
+      strength: item.strength || null,
+      quantity: item.quantity || 1
+    }));
+
+    const { total_pharmacies, complete_count, pharmacies, split_suggestions } = 
+      await matchMedicineList(pool, list, { city, geo });
+
+    res.json({
+      success: true,
+      count: pharmacies.length,
+      total_pharmacies,
+      complete_count,
+      data: {
+        items: list.map((item) => ({ ...item, search: toSearchQuery(item) })),
+        pharmacies,
+        split_suggestions
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Search Box Suggestions (public)
+// Distinct names starting with the typed prefix, cheap enough to call on every keystroke
+const getSearchSuggestions = async (req, res) => {
+  try {
+    const { q, city } = req.query;
+    const limit = req.query.limit === undefined ? SUGGESTION_LIMIT : Number(req.query.limit);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SUGGESTION_LIMIT) {
+      return res.status(400).json({ success: false, message: `limit must be between 1 and ${MAX_SUGGESTION_LIMIT}` });
+    }
+
+    if (typeof q !== 'string' || q.trim().length < MIN_SUGGESTION_PREFIX) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `q must be at least ${MIN_SUGGESTION_PREFIX} characters` 
+      });
+    }
+
+    // Escape LIKE wildcards so the prefix is matched literally
+    const prefix = `${q.trim().replace(/[\\%_]/g, '\\$&')}%`;
+    const cityFilter = city ? `%${city}%` : null;
+
+    const suggest = (column, from, where, cityColumn) => pool.query(
+      `SELECT DISTINCT ${column} as value FROM ${from}
+       WHERE ${where} AND ${column} ILIKE $1 AND ($2::text IS NULL OR ${cityColumn} ILIKE $2)
+       ORDER BY value
+       LIMIT $3`,
+      [prefix, cityFilter, limit]
+    ).then((result) => result.rows.map((row) => row.value));
+
+    const medicineSource = 'medicines m JOIN pharmacies p ON m.pharmacy_id = p.pharmacy_id';
+    const medicineWhere = 'm.is_available = true AND p.is_active = true';
+    const doctorSource = 'doctors d JOIN hospitals h ON d.hospital_id = h.hospital_id';
+    const doctorWhere = 'd.is_available = true AND h.is_active = true';
+
+    const [medicineNames, genericNames, specializations, hospitalNames, hospitalCities, pharmacyCities] = await Promise.all([
+      suggest('m.medicine_name', medicineSource, medicineWhere, 'p.city'),
+      suggest('m.generic_name', medicineSource, medicineWhere, 'p.city'),
+      suggest('d.specialization', doctorSource, doctorWhere, 'h.city'),
+      suggest('h.hospital_name', 'hospitals h', 'h.is_active = true', 'h.city'),
+      suggest('h.city', 'hospitals h', 'h.is_active = true', 'h.city'),
+      suggest('p.city', 'pharmacies p', 'p.is_active = true', 'p.city')
+    ]);
+
+    const cities = [...new Map([...hospitalCities, ...pharmacyCities]
+      .map((name) => [name.toLowerCase(), name])).values()]
+      .sort()
+      .slice(0, limit);
+
+    // Suggestions change slowly; let browsers reuse them briefly while typing
+    res.set('Cache-Control', 'public, max-age=60');
+
+    res.json({
+      success: true,
+      data: {
+        medicine_names: medicineNames,
+        generic_names: genericNames,
+        specializations,
+        hospital_names: hospitalNames,
+        cities
+      }
     });
   } catch (error) {
     console.error(error);
@@ -314,19 +913,48 @@ const searchMedicines = async (req, res) => {
   }
 };
 
+// Public Search Doctors (no login, contact details hidden)
+const publicSearchDoctors = (req, res) => {
+  req.publicView = true;
+  return searchDoctors(req, res);
+};
+
+// Public Search Medicines (no login, contact details hidden)
+const publicSearchMedicines = (req, res) => {
+  req.publicView = true;
+  return searchMedicines(req, res);
+};
+
 module.exports = {
   registerUser,
   loginUser,
   searchDoctors,
-  searchMedicines
+  searchMedicines,
+  publicSearchDoctors,
+  publicSearchMedicines,
+  compareGenericMedicines,
+  matchMedicines,
+  getSearchSuggestions
 };
 
 // ============================================
 // 6. controllers/hospitalController.js
 // ============================================
+const { validateCoordinates } = require('../utils/geo');
+const { createSession } = require('../utils/sessions');
+const { sendVerificationEmail } = require('../utils/accountTokens');
+
+const HOSPITAL_PROFILE_FIELDS = ['hospital_name', 'phone', 'address', 'city', 'state', 'pincode', 'hospital_type', 'latitude', 'longitude'];
+
 const hospitalRegister = async (req, res) => {
   try {
-    const { hospital_name, email, password, phone, address, city, state, pincode, registration_number, hospital_type } = req.body;
+    const { hospital_name, email, password, phone, address, city, state, pincode, registration_number, hospital_type, 
+            latitude, longitude } = req.body;
+
+    const coordinatesError = validateCoordinates(latitude, longitude);
+    if (coordinatesError) {
+      return res.status(400).json({ success: false, message: coordinatesError });
+    }
 
     const hospitalExists = await pool.query('SELECT * FROM hospitals WHERE email = $1', [email]);
     if (hospitalExists.rows.length > 0) {
@@ -337,18 +965,21 @@ const hospitalRegister = async (req, res) => {
     const password_hash = await bcrypt.hash(password, salt);
 
     const result = await pool.query(
-      `INSERT INTO hospitals (hospital_name, email, password_hash, phone, address, city, state, pincode, registration_number, hospital_type) 
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING hospital_id, hospital_name, email`,
-      [hospital_name, email, password_hash, phone, address, city, state, pincode, registration_number, hospital_type]
+      `INSERT INTO hospitals (hospital_name, email, password_hash, phone, address, city, state, pincode, registration_number, hospital_type, 
+       latitude, longitude) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING hospital_id, hospital_name, email, email_verified`,
+      [hospital_name, email, password_hash, phone, address, city, state, pincode, registration_number, hospital_type, 
+       latitude === '' ? null : latitude ?? null, longitude === '' ? null : longitude ?? null]
     );
 
     const hospital = result.rows[0];
-    const token = generateToken(hospital.hospital_id, 'hospital');
+    await sendVerificationEmail('hospital', hospital).catch((error) => console.error(error));
+    const session = await createSession('hospital', hospital.hospital_id, req.headers['user-agent']);
 
     res.status(201).json({
       success: true,
       message: 'Hospital registered successfully',
-      data: { hospital, token }
+      data: { hospital, ...session }
     });
   } catch (error) {
     console.error(error);
@@ -371,7 +1002,7 @@ const hospitalLogin = async (req, res) => {
       return res.status(401).json({ success: false, message: 'Invalid credentials' });
     }
 
-    const token = generateToken(hospital.hospital_id, 'hospital');
+    const session = await createSession('hospital', hospital.hospital_id, req.headers['user-agent']);
 
     res.json({
       success: true,
@@ -380,9 +1011,10 @@ const hospitalLogin = async (req, res) => {
         hospital: {
           hospital_id: hospital.hospital_id,
           hospital_name: hospital.hospital_name,
-          email: hospital.email
+          email: hospital.email,
+          email_verified: hospital.email_verified
         },
-        token
+        ...session
       }
     });
   } catch (error) {
@@ -391,39 +1023,100 @@ const hospitalLogin = async (req, res) => {
   }
 };
 
-module.exports = {
-  hospitalRegister,
-  hospitalLogin
-};
 
-// ============================================
-// 7. controllers/pharmacyController.js
-// ============================================
-const pharmacyRegister = async (req, res) => {
+// Update Hospital Profile
+const updateHospitalProfile = async (req, res) => {
   try {
-    const { pharmacy_name, email, password, phone, address, city, state, pincode, license_number, operating_hours } = req.body;
+    const hospital_id = req.user.id;
+    const { latitude, longitude } = req.body;
 
-    const pharmacyExists = await pool.query('SELECT * FROM pharmacies WHERE email = $1', [email]);
-    if (pharmacyExists.rows.length > 0) {
-      return res.status(400).json({ success: false, message: 'Pharmacy already exists' });
+    // Only profile fields may be changed here; email and password are not editable
+    const fields = HOSPITAL_PROFILE_FIELDS.filter((field) => req.body[field] !== undefined);
+
+    if (fields.length === 0) {
+      return res.status(400).json({ success: false, message: 'No profile fields to update' });
     }
 
-    const salt = await bcrypt.genSalt(10);
-    const password_hash = await bcrypt.hash(password, salt);
+    if (latitude !== undefined || longitude !== undefined) {
+      const coordinatesError = validateCoordinates(latitude, longitude);
+      if (coordinatesError) {
+        return res.status(400).json({ success: false, message: coordinatesError });
+      }
+    }
+
+    const values = fields.map((field) => (req.body[field] === '' ? null : req.body[field]));
+    const setClause = fields.map((field, index) => `${field} = $${index + 1}`).join(', ');
 
     const result = await pool.query(
-      `INSERT INTO pharmacies (pharmacy_name, email, password_hash, phone, address, city, state, pincode, license_number, operating_hours) 
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING pharmacy_id, pharmacy_name, email`,
-      [pharmacy_name, email, password_hash, phone, address, city, state, pincode, license_number, operating_hours]
+      `UPDATE hospitals SET ${setClause} WHERE hospital_id = $${fields.length + 1} 
+       RETURNING hospital_id, hospital_name, email, phone, address, city, state, pincode, registration_number, hospital_type, latitude, longitude`,
+      [...values, hospital_id]
     );
 
-    const pharmacy = result.rows[0];
-    const token = generateToken(pharmacy.pharmacy_id, 'pharmacy');
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Hospital not found' });
+    }
 
-    res.status(201).json({
+    res.json({
+      success: true,
+      message: 'Profile updated successfully',
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+module.exports = {
+  hospitalRegister,
+  hospitalLogin,
+  updateHospitalProfile
+};
+
+// ============================================
+// 7. controllers/pharmacyController.js
+// ============================================
+const { validateCoordinates } = require('../utils/geo');
+const { createSession } = require('../utils/sessions');
+const { sendVerificationEmail } = require('../utils/accountTokens');
+
+const PHARMACY_PROFILE_FIELDS = ['pharmacy_name', 'phone', 'address', 'city', 'state', 'pincode', 'operating_hours', 'latitude', 'longitude'];
+
+const pharmacyRegister = async (req, res) => {
+  try {
+    const { pharmacy_name, email, password, phone, address, city, state, pincode, license_number, operating_hours, 
+            latitude, longitude } = req.body;
+
+    const coordinatesError = validateCoordinates(latitude, longitude);
+    if (coordinatesError) {
+      return res.status(400).json({ success: false, message: coordinatesError });
+    }
+
+    const pharmacyExists = await pool.query('SELECT * FROM pharmacies WHERE email = $1', [email]);
+    if (pharmacyExists.rows.length > 0) {
+      return res.status(400).json({ success: false, message: 'Pharmacy already exists' });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    const password_hash = await bcrypt.hash(password, salt);
+
+    const result = await pool.query(
+      `INSERT INTO pharmacies (pharmacy_name, email, password_hash, phone, address, city, state, pincode, license_number, operating_hours, 
+       latitude, longitude) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING pharmacy_id, pharmacy_name, email, email_verified`,
+      [pharmacy_name, email, password_hash, phone, address, city, state, pincode, license_number, operating_hours, 
+       latitude === '' ? null : latitude ?? null, longitude === '' ? null : longitude ?? null]
+    );
+
+    const pharmacy = result.rows[0];
+    await sendVerificationEmail('pharmacy', pharmacy).catch((error) => console.error(error));
+    const session = await createSession('pharmacy', pharmacy.pharmacy_id, req.headers['user-agent']);
+
+    res.status(201).json({
       success: true,
       message: 'Pharmacy registered successfully',
-      data: { pharmacy, token }
+      data: { pharmacy, ...session }
     });
   } catch (error) {
     console.error(error);
@@ -446,7 +1139,7 @@ const pharmacyLogin = async (req, res) => {
       return res.status(401).json({ success: false, message: 'Invalid credentials' });
     }
 
-    const token = generateToken(pharmacy.pharmacy_id, 'pharmacy');
+    const session = await createSession('pharmacy', pharmacy.pharmacy_id, req.headers['user-agent']);
 
     res.json({
       success: true,
@@ -455,10 +1148,56 @@ const pharmacyLogin = async (req, res) => {
         pharmacy: {
           pharmacy_id: pharmacy.pharmacy_id,
           pharmacy_name: pharmacy.pharmacy_name,
-          email: pharmacy.email
+          email: pharmacy.email,
+          email_verified: pharmacy.email_verified
         },
-        token
+        ...session
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+
+// Update Pharmacy Profile
+const updatePharmacyProfile = async (req, res) => {
+  try {
+    const pharmacy_id = req.user.id;
+    const { latitude, longitude } = req.body;
+
+    // Only profile fields may be changed here; email and password are not editable
+    const fields = PHARMACY_PROFILE_FIELDS.filter((field) => req.body[field] !== undefined);
+
+    if (fields.length === 0) {
+      return res.status(400).json({ success: false, message: 'No profile fields to update' });
+    }
+
+    if (latitude !== undefined || longitude !== undefined) {
+      const coordinatesError = validateCoordinates(latitude, longitude);
+      if (coordinatesError) {
+        return res.status(400).json({ success: false, message: coordinatesError });
       }
+    }
+
+    const values = fields.map((field) => (req.body[field] === '' ? null : req.body[field]));
+    const setClause = fields.map((field, index) => `${field} = $${index + 1}`).join(', ');
+
+    const result = await pool.query(
+      `UPDATE pharmacies SET ${setClause} WHERE pharmacy_id = $${fields.length + 1} 
+       RETURNING pharmacy_id, pharmacy_name, email, phone, address, city, state, pincode, license_number, operating_hours, latitude, longitude`,
+      [...values, pharmacy_id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Pharmacy not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Profile updated successfully',
+      data: result.rows[0]
     });
   } catch (error) {
     console.error(error);
@@ -468,25 +1207,66 @@ const pharmacyLogin = async (req, res) => {
 
 module.exports = {
   pharmacyRegister,
-  pharmacyLogin
+  pharmacyLogin,
+  updatePharmacyProfile
 };
 
 // ============================================
 // 8. controllers/doctorController.js
 // ============================================
+const { publishAvailabilityEvent } = require('../utils/availabilityEvents');
+const { DAY_NAMES, toMinutes } = require('../utils/schedule');
+const { sendCsv } = require('../utils/csv');
+const { readSpreadsheet } = require('../utils/spreadsheet');
+const { parseListOptions, fetchPage, buildPagination } = require('../utils/pagination');
+
+const HOSPITAL_DOCTOR_SORTS = {
+  name: 'full_name',
+  specialization: 'specialization',
+  fee: 'consultation_fee',
+  experience_years: 'experience_years'
+};
+
+// Roster columns accepted on import: the fields addDoctor takes
+const ROSTER_FIELDS = ['full_name', 'specialization', 'qualification', 'experience_years', 'phone', 'email',
+  'consultation_fee', 'available_days', 'available_time_from', 'available_time_to', 'room_number', 'slot_duration_minutes'];
+
+// doctor_id and is_available are exported for reference and ignored on import
+const ROSTER_EXPORT_COLUMNS = ['doctor_id', ...ROSTER_FIELDS, 'is_available'];
+
+const MAX_ROSTER_ROWS = 1000;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Phones are compared on digits only so "+91 98765-43210" and "919876543210" match
+const normalizePhone = (phone) => (phone ? phone.replace(/\D/g, '') : '');
+const normalizeEmail = (email) => (email ? email.trim().toLowerCase() : '');
+
+// Same range as the doctors.slot_duration_minutes CHECK constraint
+const SLOT_DURATION_ERROR = 'slot_duration_minutes must be a whole number between 5 and 240';
+
+const isValidSlotDuration = (value) => {
+  const minutes = Number(value);
+  return Number.isInteger(minutes) && minutes >= 5 && minutes <= 240;
+};
+
 const addDoctor = async (req, res) => {
   try {
     const { full_name, specialization, qualification, experience_years, phone, email, consultation_fee, 
-            available_days, available_time_from, available_time_to, room_number } = req.body;
+            available_days, available_time_from, available_time_to, room_number, slot_duration_minutes } = req.body;
     
     const hospital_id = req.user.id; // From auth middleware
 
+    if (slot_duration_minutes != null && !isValidSlotDuration(slot_duration_minutes)) {
+      return res.status(400).json({ success: false, message: SLOT_DURATION_ERROR });
+    }
+
     const result = await pool.query(
       `INSERT INTO doctors (hospital_id, full_name, specialization, qualification, experience_years, phone, email, 
-       consultation_fee, available_days, available_time_from, available_time_to, room_number) 
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING *`,
+       consultation_fee, available_days, available_time_from, available_time_to, room_number, slot_duration_minutes) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, COALESCE($13, 15)) RETURNING *`,
       [hospital_id, full_name, specialization, qualification, experience_years, phone, email, 
-       consultation_fee, available_days, available_time_from, available_time_to, room_number]
+       consultation_fee, available_days, available_time_from, available_time_to, room_number, slot_duration_minutes]
     );
 
     res.status(201).json({
@@ -504,15 +1284,24 @@ const getDoctorsByHospital = async (req, res) => {
   try {
     const hospital_id = req.user.id;
 
-    const result = await pool.query(
-      'SELECT * FROM doctors WHERE hospital_id = $1 ORDER BY full_name',
-      [hospital_id]
+    const listOptions = parseListOptions(req.query, HOSPITAL_DOCTOR_SORTS, 'name', {}, true);
+    if (listOptions.error) {
+      return res.status(400).json({ success: false, message: listOptions.error });
+    }
+
+    const { rows, total } = await fetchPage(
+      pool,
+      'SELECT * FROM doctors WHERE hospital_id = $1',
+      [hospital_id],
+      listOptions,
+      'doctor_id'
     );
 
     res.json({
       success: true,
-      count: result.rows.length,
-      data: result.rows
+      count: rows.length,
+      pagination: buildPagination(total, listOptions),
+      data: rows
     });
   } catch (error) {
     console.error(error);
@@ -526,6 +1315,11 @@ const updateDoctor = async (req, res) => {
     const hospital_id = req.user.id;
     const updates = req.body;
 
+    if ('slot_duration_minutes' in updates && updates.slot_duration_minutes !== null && 
+        !isValidSlotDuration(updates.slot_duration_minutes)) {
+      return res.status(400).json({ success: false, message: SLOT_DURATION_ERROR });
+    }
+
     // Check if doctor belongs to this hospital
     const checkDoctor = await pool.query(
       'SELECT * FROM doctors WHERE doctor_id = $1 AND hospital_id = $2',
@@ -546,10 +1340,31 @@ const updateDoctor = async (req, res) => {
       [...values, doctor_id, hospital_id]
     );
 
+    const doctor = result.rows[0];
+
+    // Notify live subscribers when the doctor goes on/off duty
+    if (checkDoctor.rows[0].is_available !== doctor.is_available) {
+      const hospital = await pool.query(
+        'SELECT hospital_name, city FROM hospitals WHERE hospital_id = $1',
+        [hospital_id]
+      );
+
+      publishAvailabilityEvent({
+        type: 'doctor',
+        doctor_id: doctor.doctor_id,
+        full_name: doctor.full_name,
+        specialization: doctor.specialization,
+        is_available: doctor.is_available,
+        hospital_id,
+        hospital_name: hospital.rows[0].hospital_name,
+        city: hospital.rows[0].city
+      });
+    }
+
     res.json({
       success: true,
       message: 'Doctor updated successfully',
-      data: result.rows[0]
+      data: doctor
     });
   } catch (error) {
     console.error(error);
@@ -581,90 +1396,191 @@ const deleteDoctor = async (req, res) => {
   }
 };
 
-module.exports = {
-  addDoctor,
-  getDoctorsByHospital,
-  updateDoctor,
-  deleteDoctor
-};
+// Turn one roster row into doctor fields, or a list of problems with it
+const parseRosterRow = (values) => {
+  const fields = {};
+  const errors = [];
 
-// ============================================
-// 9. controllers/medicineController.js
-// ============================================
-const addMedicine = async (req, res) => {
-  try {
-    const { medicine_name, generic_name, manufacturer, category, dosage_form, strength, price, 
-            stock_quantity, expiry_date, requires_prescription, description } = req.body;
-    
-    const pharmacy_id = req.user.id;
+  ROSTER_FIELDS.forEach((field) => {
+    fields[field] = values[field] ? values[field] : null;
+  });
 
-    const result = await pool.query(
-      `INSERT INTO medicines (pharmacy_id, medicine_name, generic_name, manufacturer, category, dosage_form, 
-       strength, price, stock_quantity, expiry_date, requires_prescription, description) 
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING *`,
-      [pharmacy_id, medicine_name, generic_name, manufacturer, category, dosage_form, 
-       strength, price, stock_quantity, expiry_date, requires_prescription, description]
-    );
+  if (!fields.full_name) {
+    errors.push('full_name is required');
+  }
 
-    res.status(201).json({
-      success: true,
-      message: 'Medicine added successfully',
-      data: result.rows[0]
-    });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ success: false, message: 'Server error' });
+  if (!fields.specialization) {
+    errors.push('specialization is required');
   }
-};
 
-const getMedicinesByPharmacy = async (req, res) => {
-  try {
-    const pharmacy_id = req.user.id;
+  if (fields.experience_years !== null && 
+      (!Number.isInteger(Number(fields.experience_years)) || Number(fields.experience_years) < 0)) {
+    errors.push('experience_years must be a whole number of zero or more');
+  }
 
-    const result = await pool.query(
-      'SELECT * FROM medicines WHERE pharmacy_id = $1 ORDER BY medicine_name',
-      [pharmacy_id]
-    );
+  if (fields.consultation_fee !== null && 
+      (Number.isNaN(Number(fields.consultation_fee)) || Number(fields.consultation_fee) < 0)) {
+    errors.push('consultation_fee must be a number of zero or more');
+  }
 
-    res.json({
-      success: true,
-      count: result.rows.length,
-      data: result.rows
-    });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ success: false, message: 'Server error' });
+  if (fields.email !== null && !EMAIL_PATTERN.test(fields.email)) {
+    errors.push('email is not a valid address');
+  }
+
+  if (fields.phone !== null && !/^\d{7,15}$/.test(normalizePhone(fields.phone))) {
+    errors.push('phone must contain 7 to 15 digits');
+  }
+
+  // Stored the way the rest of the app reads it: "Mon,Tue,Wed"
+  if (fields.available_days !== null) {
+    const days = fields.available_days.split(/[,;\s]+/).filter(Boolean);
+    const names = days.map((day) => DAY_NAMES.find((name) => name.toLowerCase() === day.slice(0, 3).toLowerCase()));
+    if (names.includes(undefined)) {
+      errors.push('available_days must be day names such as "Mon,Tue,Wed"');
+    } else {
+      fields.available_days = names.join(',');
+    }
+  }
+
+  const from = fields.available_time_from;
+  const to = fields.available_time_to;
+
+  if ((from !== null && toMinutes(from) === null) || (to !== null && toMinutes(to) === null)) {
+    errors.push('available_time_from and available_time_to must be times in HH:MM format');
+  } else if (from !== null && to !== null && toMinutes(from) >= toMinutes(to)) {
+    errors.push('available_time_from must be before available_time_to');
+  }
+
+  if (fields.slot_duration_minutes !== null && !isValidSlotDuration(fields.slot_duration_minutes)) {
+    errors.push(SLOT_DURATION_ERROR);
   }
+
+  return { fields, errors };
 };
 
-const updateMedicine = async (req, res) => {
+// Import Doctor Roster (Hospital)
+// CSV (or XLSX) upload. Doctors whose email or phone already exists in this hospital,
+// or earlier in the same file, are reported as duplicates and skipped.
+// With ?dry_run=true every row is checked but nothing is saved.
+const importDoctors = async (req, res) => {
   try {
-    const { medicine_id } = req.params;
-    const pharmacy_id = req.user.id;
-    const updates = req.body;
+    const hospital_id = req.user.id;
+    const { dry_run } = req.query;
 
-    const checkMedicine = await pool.query(
-      'SELECT * FROM medicines WHERE medicine_id = $1 AND pharmacy_id = $2',
-      [medicine_id, pharmacy_id]
-    );
+    if (dry_run !== undefined && !['true', 'false'].includes(dry_run)) {
+      return res.status(400).json({ success: false, message: 'dry_run must be true or false' });
+    }
 
-    if (checkMedicine.rows.length === 0) {
-      return res.status(404).json({ success: false, message: 'Medicine not found' });
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'Upload a .csv or .xlsx file in the "file" field' });
     }
 
-    const fields = Object.keys(updates);
-    const values = Object.values(updates);
-    const setClause = fields.map((field, index) => `${field} = $${index + 1}`).join(', ');
+    let sheet;
+    try {
+      sheet = await readSpreadsheet(req.file);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: 'The file could not be read as a spreadsheet' });
+    }
 
-    const result = await pool.query(
-      `UPDATE medicines SET ${setClause} WHERE medicine_id = $${fields.length + 1} AND pharmacy_id = $${fields.length + 2} RETURNING *`,
-      [...values, medicine_id, pharmacy_id]
+    if (!sheet.headers.includes('full_name') || !sheet.headers.includes('specialization')) {
+      return res.status(400).json({ success: false, message: 'The first row must be a header row with at least full_name and specialization columns' });
+    }
+
+    if (sheet.rows.length === 0) {
+      return res.status(400).json({ success: false, message: 'The file has no data rows' });
+    }
+
+    if (sheet.rows.length > MAX_ROSTER_ROWS) {
+      return res.status(400).json({ success: false, message: `A single import can contain at most ${MAX_ROSTER_ROWS} rows` });
+    }
+
+    const isDryRun = dry_run === 'true';
+
+    // Contacts already on the roster, then contacts claimed by earlier rows of this file
+    const existing = await pool.query(
+      'SELECT doctor_id, email, phone FROM doctors WHERE hospital_id = $1',
+      [hospital_id]
     );
 
+    const seenEmails = new Map();
+    const seenPhones = new Map();
+    existing.rows.forEach((doctor) => {
+      if (doctor.email) {
+        seenEmails.set(normalizeEmail(doctor.email), `doctor ${doctor.doctor_id}`);
+      }
+      if (doctor.phone) {
+        seenPhones.set(normalizePhone(doctor.phone), `doctor ${doctor.doctor_id}`);
+      }
+    });
+
+    const report = [];
+
+    for (const { rowNumber, values } of sheet.rows) {
+      const { fields, errors } = parseRosterRow(values);
+      const entry = { row: rowNumber, full_name: fields.full_name };
+
+      if (errors.length > 0) {
+        report.push({ ...entry, status: 'error', errors });
+        continue;
+      }
+
+      const email = normalizeEmail(fields.email);
+      const phone = normalizePhone(fields.phone);
+      const duplicates = [];
+
+      if (email && seenEmails.has(email)) {
+        duplicates.push(`email is already used by ${seenEmails.get(email)}`);
+      }
+      if (phone && seenPhones.has(phone)) {
+        duplicates.push(`phone is already used by ${seenPhones.get(phone)}`);
+      }
+
+      if (duplicates.length > 0) {
+        report.push({ ...entry, status: 'duplicate', errors: duplicates });
+        continue;
+      }
+
+      if (email) {
+        seenEmails.set(email, `row ${rowNumber}`);
+      }
+      if (phone) {
+        seenPhones.set(phone, `row ${rowNumber}`);
+      }
+
+      if (isDryRun) {
+        report.push({ ...entry, status: 'valid' });
+        continue;
+      }
+
+      try {
+        const result = await pool.query(
+          `INSERT INTO doctors (hospital_id, full_name, specialization, qualification, experience_years, phone, email, 
+           consultation_fee, available_days, available_time_from, available_time_to, room_number, slot_duration_minutes) 
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, COALESCE($13, 15)) RETURNING doctor_id`,
+          [hospital_id, ...ROSTER_FIELDS.map((field) => fields[field])]
+        );
+        report.push({ ...entry, status: 'created', doctor_id: result.rows[0].doctor_id });
+      } catch (error) {
+        console.error(error);
+        report.push({ ...entry, status: 'error', errors: ['Row could not be saved'] });
+      }
+    }
+
+    const countStatus = (status) => report.filter((entry) => entry.status === status).length;
+
     res.json({
       success: true,
-      message: 'Medicine updated successfully',
-      data: result.rows[0]
+      message: isDryRun ? 'Dry run finished, nothing was saved' : 'Import finished',
+      dry_run: isDryRun,
+      summary: {
+        total: report.length,
+        valid: countStatus('valid'),
+        created: countStatus('created'),
+        duplicates: countStatus('duplicate'),
+        failed: countStatus('error')
+      },
+      ignored_columns: sheet.headers.filter((header) => !ROSTER_FIELDS.includes(header)),
+      data: report
     });
   } catch (error) {
     console.error(error);
@@ -672,24 +1588,18 @@ const updateMedicine = async (req, res) => {
   }
 };
 
-const deleteMedicine = async (req, res) => {
+// Export Doctor Roster as CSV (Hospital), in the layout the import accepts
+const exportDoctors = async (req, res) => {
   try {
-    const { medicine_id } = req.params;
-    const pharmacy_id = req.user.id;
+    const hospital_id = req.user.id;
 
     const result = await pool.query(
-      'DELETE FROM medicines WHERE medicine_id = $1 AND pharmacy_id = $2 RETURNING *',
-      [medicine_id, pharmacy_id]
+      `SELECT ${ROSTER_EXPORT_COLUMNS.join(', ')} FROM doctors 
+       WHERE hospital_id = $1 ORDER BY full_name, doctor_id`,
+      [hospital_id]
     );
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ success: false, message: 'Medicine not found' });
-    }
-
-    res.json({
-      success: true,
-      message: 'Medicine deleted successfully'
-    });
+    sendCsv(res, 'doctors.csv', result.rows, ROSTER_EXPORT_COLUMNS);
   } catch (error) {
     console.error(error);
     res.status(500).json({ success: false, message: 'Server error' });
@@ -697,67 +1607,5299 @@ const deleteMedicine = async (req, res) => {
 };
 
 module.exports = {
-  addMedicine,
-  getMedicinesByPharmacy,
-  updateMedicine,
-  deleteMedicine
+  addDoctor,
+  getDoctorsByHospital,
+  updateDoctor,
+  deleteDoctor,
+  importDoctors,
+  exportDoctors
 };
 
 // ============================================
-// 10. routes/userRoutes.js
+// 9. controllers/medicineController.js
 // ============================================
-const express = require('express');
-const router = express.Router();
-const { registerUser, loginUser, searchDoctors, searchMedicines } = require('../controllers/userController');
-const authMiddleware = require('../middleware/auth');
+const { OPENING_BATCH_NUMBER, SELLABLE_BATCH_SQL, InsufficientStockError, recordStockMovement, syncMedicineStock, 
+        ensureOpeningBatch, consumeStockFefo, announceStockChange } = require('../utils/inventory');
+const { sendCsv } = require('../utils/csv');
+const { readSpreadsheet, sendXlsx } = require('../utils/spreadsheet');
+const { getDayName } = require('../utils/schedule');
+const { parseListOptions, fetchPage, buildPagination } = require('../utils/pagination');
 
-router.post('/register', registerUser);
-router.post('/login', loginUser);
-router.get('/search/doctors', authMiddleware('user'), searchDoctors);
-router.get('/search/medicines', authMiddleware('user'), searchMedicines);
+const PHARMACY_MEDICINE_SORTS = {
+  name: 'medicine_name',
+  category: 'category',
+  price: 'price',
+  stock_quantity: 'stock_quantity',
+  expiry_date: 'expiry_date'
+};
 
-module.exports = router;
+// Spreadsheet columns accepted on import: the fields addMedicine takes
+const IMPORT_FIELDS = ['medicine_name', 'generic_name', 'manufacturer', 'category', 'dosage_form', 'strength', 'price',
+  'stock_quantity', 'expiry_date', 'requires_prescription', 'description', 'batch_number', 'purchase_price',
+  'reorder_level', 'reorder_quantity'];
 
-// ============================================
-// 11. routes/hospitalRoutes.js
-// ============================================
-const hospitalRouter = express.Router();
-const { hospitalRegister, hospitalLogin } = require('../controllers/hospitalController');
-const { addDoctor, getDoctorsByHospital, updateDoctor, deleteDoctor } = require('../controllers/doctorController');
+// Exported files can be edited and uploaded again; medicine_id and is_available are ignored on import
+const MEDICINE_EXPORT_COLUMNS = ['medicine_id', 'medicine_name', 'generic_name', 'manufacturer', 'category', 'dosage_form',
+  'strength', 'price', 'stock_quantity', 'expiry_date', 'requires_prescription', 'description', 'reorder_level',
+  'reorder_quantity', 'is_available'];
 
-hospitalRouter.post('/register', hospitalRegister);
-hospitalRouter.post('/login', hospitalLogin);
-hospitalRouter.post('/doctors', authMiddleware('hospital'), addDoctor);
-hospitalRouter.get('/doctors', authMiddleware('hospital'), getDoctorsByHospital);
-hospitalRouter.put('/doctors/:doctor_id', authMiddleware('hospital'), updateDoctor);
-hospitalRouter.delete('/doctors/:doctor_id', authMiddleware('hospital'), deleteDoctor);
+// Columns updateMedicine and imports may set directly. Stock and expiry come from batches,
+// so they only change through adjustStockTo and the batch endpoints.
+const MEDICINE_UPDATE_FIELDS = ['medicine_name', 'generic_name', 'manufacturer', 'category', 'dosage_form', 'strength',
+  'price', 'requires_prescription', 'description', 'is_available', 'reorder_level', 'reorder_quantity'];
 
-module.exports = hospitalRouter;
+const MAX_IMPORT_ROWS = 5000;
 
-// ============================================
-// 12. routes/pharmacyRoutes.js
-// ============================================
-const pharmacyRouter = express.Router();
-const { pharmacyRegister, pharmacyLogin } = require('../controllers/pharmacyController');
-const { addMedicine, getMedicinesByPharmacy, updateMedicine, deleteMedicine } = require('../controllers/medicineController');
+const BOOLEAN_CELLS = { true: true, yes: true, y: true, 1: true, false: false, no: false, n: false, 0: false };
 
-pharmacyRouter.post('/register', pharmacyRegister);
-pharmacyRouter.post('/login', pharmacyLogin);
-pharmacyRouter.post('/medicines', authMiddleware('pharmacy'), addMedicine);
-pharmacyRouter.get('/medicines', authMiddleware('pharmacy'), getMedicinesByPharmacy);
-pharmacyRouter.put('/medicines/:medicine_id', authMiddleware('pharmacy'), updateMedicine);
-pharmacyRouter.delete('/medicines/:medicine_id', authMiddleware('pharmacy'), deleteMedicine);
+const REORDER_EXPORT_COLUMNS = ['medicine_id', 'medicine_name', 'generic_name', 'manufacturer', 'strength', 'dosage_form',
+  'stock_quantity', 'reorder_level', 'reorder_quantity', 'suggested_quantity', 'last_purchase_price', 'estimated_cost'];
 
-module.exports = pharmacyRouter;
+// reorder_level 0 turns alerts off; reorder_quantity can be cleared with null
+const validateReorderSettings = ({ reorder_level, reorder_quantity }) => {
+  if (reorder_level !== undefined && (reorder_level === null || !Number.isInteger(Number(reorder_level)) || Number(reorder_level) < 0)) {
+    return 'reorder_level must be a whole number of zero or more';
+  }
 
-// ============================================
-// 13. server.js - Main Server File
-// ============================================
-const express = require('express');
-const cors = require('cors');
-require('dotenv').config();
+  if (reorder_quantity !== undefined && reorder_quantity !== null && 
+      (!Number.isInteger(Number(reorder_quantity)) || Number(reorder_quantity) <= 0)) {
+    return 'reorder_quantity must be a positive whole number';
+  }
 
-const app = express();
+  return null;
+};
+
+// Insert a medicine; its opening stock becomes the first batch. Returns the synced row.
+const insertMedicine = async (client, pharmacyId, fields) => {
+  const { medicine_name, generic_name, manufacturer, category, dosage_form, strength, price, 
+          stock_quantity, expiry_date, requires_prescription, description, batch_number, purchase_price,
+          reorder_level, reorder_quantity } = fields;
+
+  // Stock starts at zero so the opening batch shows up in the stock ledger
+  const result = await client.query(
+    `INSERT INTO medicines (pharmacy_id, medicine_name, generic_name, manufacturer, category, dosage_form, 
+     strength, price, requires_prescription, description, reorder_level, reorder_quantity) 
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING *`,
+    [pharmacyId, medicine_name, generic_name, manufacturer, category, dosage_form, 
+     strength, price, requires_prescription, description, reorder_level || 0, reorder_quantity || null]
+  );
+  const batchNumber = batch_number || OPENING_BATCH_NUMBER;
+
+  if (Number(stock_quantity) > 0) {
+    await client.query(
+      `INSERT INTO medicine_batches (medicine_id, batch_number, quantity, expiry_date, purchase_price) 
+       VALUES ($1, $2, $3, $4, $5)`,
+      [result.rows[0].medicine_id, batchNumber, stock_quantity, expiry_date || null, purchase_price]
+    );
+  }
+
+  return syncMedicineStock(client, result.rows[0].medicine_id, {
+    reason: 'restock',
+    actorType: 'pharmacy',
+    actorId: pharmacyId,
+    batchNumber,
+    note: 'Opening stock'
+  });
+};
+
+// Apply a partial update of plain medicine columns; keys outside MEDICINE_UPDATE_FIELDS are ignored
+const updateMedicineFields = async (client, medicineId, pharmacyId, updates) => {
+  const fields = MEDICINE_UPDATE_FIELDS.filter((field) => updates[field] !== undefined);
+  if (fields.length === 0) {
+    return;
+  }
+
+  const values = fields.map((field) => updates[field]);
+  const setClause = fields.map((field, index) => `${field} = $${index + 1}`).join(', ');
+
+  await client.query(
+    `UPDATE medicines SET ${setClause} WHERE medicine_id = $${fields.length + 1} AND pharmacy_id = $${fields.length + 2}`,
+    [...values, medicineId, pharmacyId]
+  );
+};
+
+// Bring stock to a new total: a decrease is taken out first-expiry-first-out,
+// an increase is received as a new batch. Returns the batch number for the ledger.
+const adjustStockTo = async (client, previous, target, { expiry_date, batch_number, purchase_price } = {}) => {
+  await ensureOpeningBatch(client, previous);
+
+  // Measured from the batches: previous.stock_quantity still counts lots that expired since the last sync
+  const sellable = await client.query(
+    `SELECT COALESCE(SUM(quantity), 0)::int as total FROM medicine_batches 
+     WHERE medicine_id = $1 AND ${SELLABLE_BATCH_SQL}`,
+    [previous.medicine_id]
+  );
+
+  const difference = Number(target) - sellable.rows[0].total;
+  if (difference === 0) {
+    return null;
+  }
+
+  if (difference < 0) {
+    await consumeStockFefo(client, previous.medicine_id, -difference);
+    return null;
+  }
+
+  // Without an expiry_date the new units take the medicine's nearest expiry, unless that has already passed
+  const batchNumber = batch_number || `ADJ-${Date.now()}`;
+  await client.query(
+    `INSERT INTO medicine_batches (medicine_id, batch_number, quantity, expiry_date, purchase_price) 
+     VALUES ($1, $2, $3, COALESCE($4::date, CASE WHEN $6::date >= CURRENT_DATE THEN $6::date END), $5)`,
+    [previous.medicine_id, batchNumber, difference, expiry_date || null, purchase_price, previous.expiry_date]
+  );
+  return batchNumber;
+};
+
+const addMedicine = async (req, res) => {
+  try {
+    const pharmacy_id = req.user.id;
+
+    const reorderError = validateReorderSettings(req.body);
+    if (reorderError) {
+      return res.status(400).json({ success: false, message: reorderError });
+    }
+
+    const medicine = await pool.withTransaction((client) => insertMedicine(client, pharmacy_id, req.body));
+
+    // A new listing is announced as a change from "nothing in stock"
+    await announceStockChange({ stock_quantity: 0, is_available: false }, medicine);
+
+    res.status(201).json({
+      success: true,
+      message: 'Medicine added successfully',
+      data: medicine
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+const getMedicinesByPharmacy = async (req, res) => {
+  try {
+    const pharmacy_id = req.user.id;
+
+    const listOptions = parseListOptions(req.query, PHARMACY_MEDICINE_SORTS, 'name', {}, true);
+    if (listOptions.error) {
+      return res.status(400).json({ success: false, message: listOptions.error });
+    }
+
+    const { rows, total } = await fetchPage(
+      pool,
+      'SELECT * FROM medicines WHERE pharmacy_id = $1',
+      [pharmacy_id],
+      listOptions,
+      'medicine_id'
+    );
+
+    // Attach the batch breakdown for the medicines returned
+    const batches = await pool.query(
+      `SELECT b.*, (b.expiry_date IS NOT NULL AND b.expiry_date < CURRENT_DATE) as is_expired
+       FROM medicine_batches b
+       WHERE b.medicine_id = ANY($1)
+       ORDER BY b.expiry_date NULLS LAST, b.batch_id`,
+      [rows.map((row) => row.medicine_id)]
+    );
+
+    rows.forEach((row) => {
+      row.batches = batches.rows.filter((batch) => batch.medicine_id === row.medicine_id);
+    });
+
+    res.json({
+      success: true,
+      count: rows.length,
+      pagination: buildPagination(total, listOptions),
+      data: rows
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+const updateMedicine = async (req, res) => {
+  try {
+    const { medicine_id } = req.params;
+    const pharmacy_id = req.user.id;
+
+    // Stock and expiry are derived from batches; a new stock_quantity is applied as an adjustment
+    // and `note` is kept with it in the stock ledger
+    const { stock_quantity, expiry_date, note, ...updates } = req.body;
+
+    if (stock_quantity !== undefined && (!Number.isInteger(Number(stock_quantity)) || Number(stock_quantity) < 0)) {
+      return res.status(400).json({ success: false, message: 'stock_quantity must be a whole number of zero or more' });
+    }
+
+    const reorderError = validateReorderSettings(updates);
+    if (reorderError) {
+      return res.status(400).json({ success: false, message: reorderError });
+    }
+
+    const outcome = await pool.withTransaction(async (client) => {
+      const checkMedicine = await client.query(
+        'SELECT * FROM medicines WHERE medicine_id = $1 AND pharmacy_id = $2 FOR UPDATE',
+        [medicine_id, pharmacy_id]
+      );
+
+      if (checkMedicine.rows.length === 0) {
+        return null;
+      }
+
+      const previous = checkMedicine.rows[0];
+
+      // Every update re-syncs stock from batches, so pre-batch stock has to be moved into one first
+      await ensureOpeningBatch(client, previous);
+      await updateMedicineFields(client, medicine_id, pharmacy_id, updates);
+
+      const batchNumber = stock_quantity === undefined
+        ? null
+        : await adjustStockTo(client, previous, stock_quantity, { expiry_date });
+
+      const medicine = await syncMedicineStock(client, medicine_id, {
+        reason: 'adjustment',
+        actorType: 'pharmacy',
+        actorId: pharmacy_id,
+        batchNumber,
+        note
+      });
+      return { previous, medicine };
+    });
+
+    if (!outcome) {
+      return res.status(404).json({ success: false, message: 'Medicine not found' });
+    }
+
+    await announceStockChange(outcome.previous, outcome.medicine);
+
+    res.json({
+      success: true,
+      message: 'Medicine updated successfully',
+      data: outcome.medicine
+    });
+  } catch (error) {
+    if (error instanceof InsufficientStockError) {
+      return res.status(409).json({ success: false, message: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+const deleteMedicine = async (req, res) => {
+  try {
+    const { medicine_id } = req.params;
+    const pharmacy_id = req.user.id;
+
+    // Stock still on hand is written off in the ledger before the medicine goes
+    const deleted = await pool.withTransaction(async (client) => {
+      const result = await client.query(
+        'SELECT * FROM medicines WHERE medicine_id = $1 AND pharmacy_id = $2 FOR UPDATE',
+        [medicine_id, pharmacy_id]
+      );
+      const medicine = result.rows[0];
+      if (!medicine) {
+        return null;
+      }
+
+      if (medicine.stock_quantity > 0) {
+        await recordStockMovement(client, medicine, -medicine.stock_quantity, 0, {
+          reason: 'adjustment',
+          actorType: 'pharmacy',
+          actorId: pharmacy_id,
+          note: 'Medicine deleted'
+        });
+      }
+
+      await client.query('DELETE FROM medicines WHERE medicine_id = $1', [medicine_id]);
+      return medicine;
+    });
+
+    if (!deleted) {
+      return res.status(404).json({ success: false, message: 'Medicine not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Medicine deleted successfully'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Reorder Suggestions (Pharmacy)
+// Medicines below their reorder level, grouped by manufacturer for sending to distributors.
+// ?format=csv downloads the same rows as a spreadsheet.
+const getReorderSuggestions = async (req, res) => {
+  try {
+    const pharmacy_id = req.user.id;
+    const format = req.query.format || 'json';
+
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({ success: false, message: 'format must be json or csv' });
+    }
+
+    // Cost is estimated from the most recent batch that recorded a purchase price
+    const result = await pool.query(
+      `SELECT m.medicine_id, m.medicine_name, m.generic_name, m.manufacturer, m.strength, m.dosage_form,
+              m.stock_quantity, m.reorder_level, m.reorder_quantity,
+              COALESCE(m.reorder_quantity, m.reorder_level - m.stock_quantity) as suggested_quantity,
+              lp.purchase_price as last_purchase_price,
+              COALESCE(m.reorder_quantity, m.reorder_level - m.stock_quantity) * lp.purchase_price as estimated_cost
+       FROM medicines m
+       LEFT JOIN LATERAL (
+         SELECT purchase_price FROM medicine_batches
+         WHERE medicine_id = m.medicine_id AND purchase_price IS NOT NULL
+         ORDER BY received_at DESC, batch_id DESC LIMIT 1
+       ) lp ON true
+       WHERE m.pharmacy_id = $1 AND m.reorder_level > 0 AND m.stock_quantity < m.reorder_level
+       ORDER BY m.manufacturer NULLS LAST, m.medicine_name, m.medicine_id`,
+      [pharmacy_id]
+    );
+
+    if (format === 'csv') {
+      return sendCsv(res, 'reorder-suggestions.csv', result.rows, REORDER_EXPORT_COLUMNS);
+    }
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Turn one spreadsheet row into medicine fields. Blank cells are left out so that
+// updating an existing medicine keeps its current value.
+const parseImportRow = (values) => {
+  const fields = {};
+  const errors = [];
+
+  IMPORT_FIELDS.forEach((field) => {
+    if (values[field] !== undefined && values[field] !== '') {
+      fields[field] = values[field];
+    }
+  });
+
+  if (!fields.medicine_name) {
+    errors.push('medicine_name is required');
+  }
+
+  ['price', 'purchase_price'].forEach((field) => {
+    if (fields[field] !== undefined && (Number.isNaN(Number(fields[field])) || Number(fields[field]) < 0)) {
+      errors.push(`${field} must be a number of zero or more`);
+    }
+  });
+
+  if (fields.stock_quantity !== undefined && 
+      (!Number.isInteger(Number(fields.stock_quantity)) || Number(fields.stock_quantity) < 0)) {
+    errors.push('stock_quantity must be a whole number of zero or more');
+  }
+
+  // getDayName doubles as a strict YYYY-MM-DD check
+  if (fields.expiry_date !== undefined && getDayName(fields.expiry_date) === null) {
+    errors.push('expiry_date must be a date in YYYY-MM-DD format');
+  }
+
+  if (fields.requires_prescription !== undefined) {
+    const flag = BOOLEAN_CELLS[fields.requires_prescription.toLowerCase()];
+    if (typeof flag !== 'boolean') {
+      errors.push('requires_prescription must be true or false');
+    } else {
+      fields.requires_prescription = flag;
+    }
+  }
+
+  const reorderError = validateReorderSettings(fields);
+  if (reorderError) {
+    errors.push(reorderError);
+  }
+
+  return { fields, errors };
+};
+
+// Create or update one imported medicine, matched on name + strength + dosage form
+const upsertImportedMedicine = (pharmacyId, fields) => pool.withTransaction(async (client) => {
+  const existing = await client.query(
+    `SELECT * FROM medicines 
+     WHERE pharmacy_id = $1 AND LOWER(medicine_name) = LOWER($2)
+       AND LOWER(COALESCE(strength, '')) = LOWER($3) AND LOWER(COALESCE(dosage_form, '')) = LOWER($4)
+     ORDER BY medicine_id LIMIT 1 FOR UPDATE`,
+    [pharmacyId, fields.medicine_name, fields.strength || '', fields.dosage_form || '']
+  );
+
+  if (existing.rows.length === 0) {
+    if (fields.price === undefined) {
+      return { error: 'price is required for new medicines' };
+    }
+
+    const medicine = await insertMedicine(client, pharmacyId, fields);
+    return { status: 'created', previous: { stock_quantity: 0, is_available: false }, medicine };
+  }
+
+  const previous = existing.rows[0];
+  const { stock_quantity, expiry_date, batch_number, purchase_price, ...updates } = fields;
+
+  // As in updateMedicine: the sync below would otherwise wipe stock not yet kept in batches
+  await ensureOpeningBatch(client, previous);
+  await updateMedicineFields(client, previous.medicine_id, pharmacyId, updates);
+
+  const batchNumber = stock_quantity === undefined
+    ? null
+    : await adjustStockTo(client, previous, stock_quantity, { expiry_date, batch_number, purchase_price });
+
+  const medicine = await syncMedicineStock(client, previous.medicine_id, {
+    reason: 'adjustment',
+    actorType: 'pharmacy',
+    actorId: pharmacyId,
+    batchNumber,
+    note: 'Bulk import'
+  });
+  return { status: 'updated', previous, medicine };
+});
+
+const importRowError = (error) => {
+  if (error instanceof InsufficientStockError) {
+    return error.message;
+  }
+  if (error.code === '23505' && error.constraint === 'uq_medicine_batches_number') {
+    return 'batch_number already exists for this medicine';
+  }
+  console.error(error);
+  return 'Row could not be saved';
+};
+
+// Bulk Import Medicines (Pharmacy)
+// Accepts a CSV or XLSX upload; each row is saved on its own so one bad row
+// does not stop the rest, and the response reports the outcome per row.
+const importMedicines = async (req, res) => {
+  try {
+    const pharmacy_id = req.user.id;
+
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'Upload a .csv or .xlsx file in the "file" field' });
+    }
+
+    let sheet;
+    try {
+      sheet = await readSpreadsheet(req.file);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: 'The file could not be read as a spreadsheet' });
+    }
+
+    if (!sheet.headers.includes('medicine_name')) {
+      return res.status(400).json({ success: false, message: 'The first row must be a header row with at least a medicine_name column' });
+    }
+
+    if (sheet.rows.length === 0) {
+      return res.status(400).json({ success: false, message: 'The file has no data rows' });
+    }
+
+    if (sheet.rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ success: false, message: `A single import can contain at most ${MAX_IMPORT_ROWS} rows` });
+    }
+
+    const report = [];
+
+    for (const { rowNumber, values } of sheet.rows) {
+      const { fields, errors } = parseImportRow(values);
+      const entry = { row: rowNumber, medicine_name: fields.medicine_name || null };
+
+      if (errors.length > 0) {
+        report.push({ ...entry, status: 'error', errors });
+        continue;
+      }
+
+      try {
+        const outcome = await upsertImportedMedicine(pharmacy_id, fields);
+
+        if (outcome.error) {
+          report.push({ ...entry, status: 'error', errors: [outcome.error] });
+          continue;
+        }
+
+        await announceStockChange(outcome.previous, outcome.medicine);
+        report.push({ ...entry, status: outcome.status, medicine_id: outcome.medicine.medicine_id });
+      } catch (error) {
+        report.push({ ...entry, status: 'error', errors: [importRowError(error)] });
+      }
+    }
+
+    const countStatus = (status) => report.filter((entry) => entry.status === status).length;
+
+    res.json({
+      success: true,
+      message: 'Import finished',
+      summary: {
+        total: report.length,
+        created: countStatus('created'),
+        updated: countStatus('updated'),
+        failed: countStatus('error')
+      },
+      ignored_columns: sheet.headers.filter((header) => !IMPORT_FIELDS.includes(header)),
+      data: report
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Export Medicines (Pharmacy)
+// The full inventory as ?format=csv (default) or xlsx, in the layout the import accepts
+const exportMedicines = async (req, res) => {
+  try {
+    const pharmacy_id = req.user.id;
+    const format = req.query.format || 'csv';
+
+    if (!['csv', 'xlsx'].includes(format)) {
+      return res.status(400).json({ success: false, message: 'format must be csv or xlsx' });
+    }
+
+    const result = await pool.query(
+      `SELECT ${MEDICINE_EXPORT_COLUMNS.join(', ')} FROM medicines 
+       WHERE pharmacy_id = $1 ORDER BY medicine_name, medicine_id`,
+      [pharmacy_id]
+    );
+
+    if (format === 'xlsx') {
+      return sendXlsx(res, 'medicines.xlsx', result.rows, MEDICINE_EXPORT_COLUMNS, 'Medicines');
+    }
+
+    sendCsv(res, 'medicines.csv', result.rows, MEDICINE_EXPORT_COLUMNS);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+module.exports = {
+  addMedicine,
+  getMedicinesByPharmacy,
+  updateMedicine,
+  deleteMedicine,
+  getReorderSuggestions,
+  importMedicines,
+  exportMedicines
+};
+
+// ============================================
+// 10. routes/userRoutes.js
+// ============================================
+const express = require('express');
+const router = express.Router();
+const { registerUser, loginUser, searchDoctors, searchMedicines, publicSearchDoctors, publicSearchMedicines, 
+        compareGenericMedicines, matchMedicines, getSearchSuggestions } = require('../controllers/userController');
+const { getDoctorSlots, bookAppointment, getUserAppointments, rescheduleAppointment, cancelAppointment } = require('../controllers/appointmentController');
+const { createReservation, getUserReservations, cancelReservation, attachReservationPrescription } = require('../controllers/reservationController');
+const { uploadPrescription, getUserPrescriptions, getPrescriptionPharmacies, downloadUserPrescription, 
+        deletePrescription } = require('../controllers/prescriptionController');
+const { prescriptionUpload } = require('../middleware/upload');
+const { streamAvailability } = require('../utils/availabilityEvents');
+const { addStockAlert, getStockAlerts, deleteStockAlert, getNotifications, markNotificationRead, markAllNotificationsRead } = require('../controllers/notificationController');
+const { refreshSession, logout, logoutAllSessions, createStreamToken } = require('../controllers/sessionController');
+const { verifyEmail, resendVerificationEmail, forgotPassword, resetPassword } = require('../controllers/accountController');
+const authMiddleware = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+
+// Unauthenticated endpoints get per-IP limits; suggestions allow more since they fire per keystroke
+const publicSearchLimiter = rateLimit({ windowMs: 60 * 1000, max: 30 });
+const suggestionLimiter = rateLimit({ windowMs: 60 * 1000, max: 120 });
+const accountEmailLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 5 });
+const accountResetLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 10 });
+
+router.post('/register', registerUser);
+router.post('/login', loginUser);
+router.post('/refresh-token', refreshSession('user'));
+router.post('/logout', authMiddleware('user'), logout);
+router.post('/logout-all', authMiddleware('user'), logoutAllSessions);
+router.post('/verify-email', verifyEmail('user'));
+router.post('/verify-email/resend', authMiddleware('user'), accountEmailLimiter, resendVerificationEmail);
+router.post('/forgot-password', accountEmailLimiter, forgotPassword('user'));
+router.post('/reset-password', accountResetLimiter, resetPassword('user'));
+router.get('/search/doctors', authMiddleware('user'), searchDoctors);
+router.get('/search/medicines', authMiddleware('user'), searchMedicines);
+router.get('/search/medicines/compare', authMiddleware('user'), compareGenericMedicines);
+router.post('/search/medicines/match', authMiddleware('user'), matchMedicines);
+router.get('/search/suggestions', suggestionLimiter, getSearchSuggestions);
+router.get('/public/search/doctors', publicSearchLimiter, publicSearchDoctors);
+router.get('/public/search/medicines', publicSearchLimiter, publicSearchMedicines);
+router.post('/availability/stream-token', authMiddleware('user'), createStreamToken);
+router.get('/availability/stream', streamAvailability);
+router.post('/stock-alerts', authMiddleware('user'), addStockAlert);
+router.get('/stock-alerts', authMiddleware('user'), getStockAlerts);
+router.delete('/stock-alerts/:subscription_id', authMiddleware('user'), deleteStockAlert);
+router.get('/notifications', authMiddleware('user'), getNotifications);
+router.put('/notifications/read-all', authMiddleware('user'), markAllNotificationsRead);
+router.put('/notifications/:notification_id/read', authMiddleware('user'), markNotificationRead);
+router.get('/doctors/:doctor_id/slots', authMiddleware('user'), getDoctorSlots);
+router.post('/appointments', authMiddleware('user'), bookAppointment);
+router.get('/appointments', authMiddleware('user'), getUserAppointments);
+router.put('/appointments/:appointment_id', authMiddleware('user'), rescheduleAppointment);
+router.put('/appointments/:appointment_id/cancel', authMiddleware('user'), cancelAppointment);
+router.post('/reservations', authMiddleware('user'), createReservation);
+router.get('/reservations', authMiddleware('user'), getUserReservations);
+router.put('/reservations/:reservation_id/cancel', authMiddleware('user'), cancelReservation);
+router.put('/reservations/:reservation_id/prescription', authMiddleware('user'), attachReservationPrescription);
+router.post('/prescriptions', authMiddleware('user'), prescriptionUpload, uploadPrescription);
+router.get('/prescriptions', authMiddleware('user'), getUserPrescriptions);
+router.get('/prescriptions/:prescription_id/pharmacies', authMiddleware('user'), getPrescriptionPharmacies);
+router.get('/prescriptions/:prescription_id/file', authMiddleware('user'), downloadUserPrescription);
+router.delete('/prescriptions/:prescription_id', authMiddleware('user'), deletePrescription);
+
+module.exports = router;
+
+// ============================================
+// 11. routes/hospitalRoutes.js
+// ============================================
+const hospitalRouter = express.Router();
+const { hospitalRegister, hospitalLogin, updateHospitalProfile } = require('../controllers/hospitalController');
+const { addDoctor, getDoctorsByHospital, updateDoctor, deleteDoctor, importDoctors, exportDoctors } = require('../controllers/doctorController');
+const { spreadsheetUpload } = require('../middleware/upload');
+const { getHospitalAppointments, updateAppointmentStatus } = require('../controllers/appointmentController');
+const { addScheduleException, getScheduleExceptions, deleteScheduleException } = require('../controllers/scheduleExceptionController');
+const { issuePrescription, getAppointmentPrescription } = require('../controllers/prescriptionController');
+const { refreshSession, logout, logoutAllSessions } = require('../controllers/sessionController');
+const { verifyEmail, resendVerificationEmail, forgotPassword, resetPassword } = require('../controllers/accountController');
+const rateLimit = require('../middleware/rateLimit');
+
+const hospitalEmailLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 5 });
+const hospitalResetLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 10 });
+
+hospitalRouter.post('/register', hospitalRegister);
+hospitalRouter.post('/login', hospitalLogin);
+hospitalRouter.post('/refresh-token', refreshSession('hospital'));
+hospitalRouter.post('/logout', authMiddleware('hospital'), logout);
+hospitalRouter.post('/logout-all', authMiddleware('hospital'), logoutAllSessions);
+hospitalRouter.post('/verify-email', verifyEmail('hospital'));
+hospitalRouter.post('/verify-email/resend', authMiddleware('hospital'), hospitalEmailLimiter, resendVerificationEmail);
+hospitalRouter.post('/forgot-password', hospitalEmailLimiter, forgotPassword('hospital'));
+hospitalRouter.post('/reset-password', hospitalResetLimiter, resetPassword('hospital'));
+hospitalRouter.put('/profile', authMiddleware('hospital'), updateHospitalProfile);
+hospitalRouter.post('/doctors', authMiddleware('hospital'), addDoctor);
+hospitalRouter.get('/doctors', authMiddleware('hospital'), getDoctorsByHospital);
+hospitalRouter.post('/doctors/import', authMiddleware('hospital'), spreadsheetUpload, importDoctors);
+hospitalRouter.get('/doctors/export', authMiddleware('hospital'), exportDoctors);
+hospitalRouter.put('/doctors/:doctor_id', authMiddleware('hospital'), updateDoctor);
+hospitalRouter.delete('/doctors/:doctor_id', authMiddleware('hospital'), deleteDoctor);
+hospitalRouter.get('/appointments', authMiddleware('hospital'), getHospitalAppointments);
+hospitalRouter.put('/appointments/:appointment_id/status', authMiddleware('hospital'), updateAppointmentStatus);
+hospitalRouter.post('/appointments/:appointment_id/prescription', authMiddleware('hospital'), issuePrescription);
+hospitalRouter.get('/appointments/:appointment_id/prescription', authMiddleware('hospital'), getAppointmentPrescription);
+hospitalRouter.post('/schedule-exceptions', authMiddleware('hospital'), addScheduleException);
+hospitalRouter.get('/schedule-exceptions', authMiddleware('hospital'), getScheduleExceptions);
+hospitalRouter.delete('/schedule-exceptions/:exception_id', authMiddleware('hospital'), deleteScheduleException);
+
+module.exports = hospitalRouter;
+
+// ============================================
+// 12. routes/pharmacyRoutes.js
+// ============================================
+const pharmacyRouter = express.Router();
+const { pharmacyRegister, pharmacyLogin, updatePharmacyProfile } = require('../controllers/pharmacyController');
+const { addMedicine, getMedicinesByPharmacy, updateMedicine, deleteMedicine, getReorderSuggestions, 
+        importMedicines, exportMedicines } = require('../controllers/medicineController');
+const { spreadsheetUpload } = require('../middleware/upload');
+const { getStockHistory, getStockMovementSummary } = require('../controllers/stockLedgerController');
+const { getPharmacyReservations, updateReservationStatus } = require('../controllers/reservationController');
+const { getPharmacyPrescriptions, downloadPharmacyPrescription, reviewPrescription } = require('../controllers/prescriptionController');
+const { getNotifications, markNotificationRead, markAllNotificationsRead } = require('../controllers/notificationController');
+const { getMedicineBatches, addMedicineBatch, updateMedicineBatch, deleteMedicineBatch, dispenseMedicine, getExpiringStock } = require('../controllers/batchController');
+const { refreshSession, logout, logoutAllSessions } = require('../controllers/sessionController');
+const { verifyEmail, resendVerificationEmail, forgotPassword, resetPassword } = require('../controllers/accountController');
+const rateLimit = require('../middleware/rateLimit');
+
+const pharmacyEmailLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 5 });
+const pharmacyResetLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 10 });
+
+pharmacyRouter.post('/register', pharmacyRegister);
+pharmacyRouter.post('/login', pharmacyLogin);
+pharmacyRouter.post('/refresh-token', refreshSession('pharmacy'));
+pharmacyRouter.post('/logout', authMiddleware('pharmacy'), logout);
+pharmacyRouter.post('/logout-all', authMiddleware('pharmacy'), logoutAllSessions);
+pharmacyRouter.post('/verify-email', verifyEmail('pharmacy'));
+pharmacyRouter.post('/verify-email/resend', authMiddleware('pharmacy'), pharmacyEmailLimiter, resendVerificationEmail);
+pharmacyRouter.post('/forgot-password', pharmacyEmailLimiter, forgotPassword('pharmacy'));
+pharmacyRouter.post('/reset-password', pharmacyResetLimiter, resetPassword('pharmacy'));
+pharmacyRouter.put('/profile', authMiddleware('pharmacy'), updatePharmacyProfile);
+pharmacyRouter.post('/medicines', authMiddleware('pharmacy'), addMedicine);
+pharmacyRouter.get('/medicines', authMiddleware('pharmacy'), getMedicinesByPharmacy);
+pharmacyRouter.get('/medicines/expiring', authMiddleware('pharmacy'), getExpiringStock);
+pharmacyRouter.post('/medicines/import', authMiddleware('pharmacy'), spreadsheetUpload, importMedicines);
+pharmacyRouter.get('/medicines/export', authMiddleware('pharmacy'), exportMedicines);
+pharmacyRouter.put('/medicines/:medicine_id', authMiddleware('pharmacy'), updateMedicine);
+pharmacyRouter.delete('/medicines/:medicine_id', authMiddleware('pharmacy'), deleteMedicine);
+pharmacyRouter.get('/medicines/:medicine_id/batches', authMiddleware('pharmacy'), getMedicineBatches);
+pharmacyRouter.post('/medicines/:medicine_id/batches', authMiddleware('pharmacy'), addMedicineBatch);
+pharmacyRouter.put('/medicines/:medicine_id/batches/:batch_id', authMiddleware('pharmacy'), updateMedicineBatch);
+pharmacyRouter.delete('/medicines/:medicine_id/batches/:batch_id', authMiddleware('pharmacy'), deleteMedicineBatch);
+pharmacyRouter.post('/medicines/:medicine_id/dispense', authMiddleware('pharmacy'), dispenseMedicine);
+pharmacyRouter.get('/medicines/:medicine_id/stock-history', authMiddleware('pharmacy'), getStockHistory);
+pharmacyRouter.get('/stock-movements/summary', authMiddleware('pharmacy'), getStockMovementSummary);
+pharmacyRouter.get('/reorder-suggestions', authMiddleware('pharmacy'), getReorderSuggestions);
+pharmacyRouter.get('/reservations', authMiddleware('pharmacy'), getPharmacyReservations);
+pharmacyRouter.put('/reservations/:reservation_id/status', authMiddleware('pharmacy'), updateReservationStatus);
+pharmacyRouter.get('/prescriptions', authMiddleware('pharmacy'), getPharmacyPrescriptions);
+pharmacyRouter.get('/prescriptions/:prescription_id/file', authMiddleware('pharmacy'), downloadPharmacyPrescription);
+pharmacyRouter.put('/prescriptions/:prescription_id/review', authMiddleware('pharmacy'), reviewPrescription);
+pharmacyRouter.get('/notifications', authMiddleware('pharmacy'), getNotifications);
+pharmacyRouter.put('/notifications/read-all', authMiddleware('pharmacy'), markAllNotificationsRead);
+pharmacyRouter.put('/notifications/:notification_id/read', authMiddleware('pharmacy'), markNotificationRead);
+
+module.exports = pharmacyRouter;
+
+// ============================================
+// 13. utils/schedule.js - Doctor Schedule Helpers
+// ============================================
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const DEFAULT_SLOT_MINUTES = 15;
+const MAX_SLOT_RANGE_DAYS = 31;
+
+// Convert "HH:MM" or "HH:MM:SS" into minutes since midnight
+const toMinutes = (time) => {
+  if (!time || !/^\d{1,2}:\d{2}(:\d{2})?$/.test(time)) {
+    return null;
+  }
+  const [hours, minutes] = time.split(':').map(Number);
+  if (hours > 23 || minutes > 59) {
+    return null;
+  }
+  return hours * 60 + minutes;
+};
+
+// Convert minutes since midnight back into "HH:MM:SS"
+const toTimeString = (minutes) => {
+  const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+  const mins = String(minutes % 60).padStart(2, '0');
+  return `${hours}:${mins}:00`;
+};
+
+// Today's date as "YYYY-MM-DD" in server local time
+const getToday = () => {
+  const now = new Date();
+  const offset = now.getTimezoneOffset() * 60000;
+  return new Date(now.getTime() - offset).toISOString().slice(0, 10);
+};
+
+// Whether a slot on a "YYYY-MM-DD" date at "HH:MM" has already started, in server local time
+const hasSlotStarted = (date, time) => {
+  const today = getToday();
+  if (date !== today) {
+    return date < today;
+  }
+  const now = new Date();
+  return toMinutes(time) <= now.getHours() * 60 + now.getMinutes();
+};
+
+// Shift a "YYYY-MM-DD" date by a number of days
+const addDays = (date, days) => {
+  const parsed = new Date(`${date}T00:00:00Z`);
+  parsed.setUTCDate(parsed.getUTCDate() + days);
+  return parsed.toISOString().slice(0, 10);
+};
+
+// Weekday name ("Mon", "Tue", ...) for a "YYYY-MM-DD" date, or null if invalid
+const getDayName = (date) => {
+  if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return null;
+  }
+  const parsed = new Date(`${date}T00:00:00Z`);
+  if (isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== date) {
+    return null;
+  }
+  return DAY_NAMES[parsed.getUTCDay()];
+};
+
+// Parse the free-text available_days column ("Mon,Tue,Wed") into day names
+const parseAvailableDays = (availableDays) => {
+  if (!availableDays) {
+    return [];
+  }
+  return availableDays
+    .split(',')
+    .map((day) => day.trim().slice(0, 3).toLowerCase())
+    .map((day) => DAY_NAMES.find((name) => name.toLowerCase() === day))
+    .filter(Boolean);
+};
+
+// Returns an error message if the date/time is outside the doctor's schedule, otherwise null
+const checkDoctorSchedule = (doctor, date, time) => {
+  const dayName = getDayName(date);
+  if (!dayName) {
+    return 'Invalid appointment date. Use YYYY-MM-DD';
+  }
+
+  const minutes = toMinutes(time);
+  if (minutes === null) {
+    return 'Invalid appointment time. Use HH:MM';
+  }
+
+  if (!parseAvailableDays(doctor.available_days).includes(dayName)) {
+    return `Doctor is not available on ${dayName}`;
+  }
+
+  const from = toMinutes(doctor.available_time_from);
+  const to = toMinutes(doctor.available_time_to);
+  const slotLength = doctor.slot_duration_minutes || DEFAULT_SLOT_MINUTES;
+  if (from === null || to === null || minutes < from || minutes + slotLength > to) {
+    return 'Requested time is outside the doctor\'s consultation hours';
+  }
+
+  if ((minutes - from) % slotLength !== 0) {
+    return `Requested time does not match a ${slotLength}-minute consultation slot`;
+  }
+
+  return null;
+};
+
+// Expand a doctor's weekly schedule into consultation slots between two dates (inclusive).
+// `booked` is a list of { appointment_date, appointment_time } rows to leave out and
+// `exceptions` a list of { start_date, end_date, reason } leave/holiday ranges.
+const generateSlots = (doctor, fromDate, toDate, booked = [], exceptions = []) => {
+  const workingDays = parseAvailableDays(doctor.available_days);
+  const start = toMinutes(doctor.available_time_from);
+  const end = toMinutes(doctor.available_time_to);
+  const slotLength = doctor.slot_duration_minutes || DEFAULT_SLOT_MINUTES;
+
+  const bookedKeys = new Set(
+    booked.map((row) => `${row.appointment_date} ${toTimeString(toMinutes(row.appointment_time))}`)
+  );
+
+  const today = getToday();
+  const now = new Date();
+  const nowMinutes = now.getHours() * 60 + now.getMinutes();
+
+  const days = [];
+  if (start === null || end === null) {
+    return days;
+  }
+
+  for (let date = fromDate; date <= toDate; date = addDays(date, 1)) {
+    const day = getDayName(date);
+    if (!workingDays.includes(day) || date < today) {
+      continue;
+    }
+
+    const exception = exceptions.find((row) => date >= row.start_date && date <= row.end_date);
+    if (exception) {
+      days.push({ date, day, slots: [], unavailable_reason: exception.reason });
+      continue;
+    }
+
+    const slots = [];
+    for (let minutes = start; minutes + slotLength <= end; minutes += slotLength) {
+      if (date === today && minutes <= nowMinutes) {
+        continue;
+      }
+      const time = toTimeString(minutes);
+      if (!bookedKeys.has(`${date} ${time}`)) {
+        slots.push({ start_time: time, end_time: toTimeString(minutes + slotLength) });
+      }
+    }
+
+    days.push({ date, day, slots });
+  }
+
+  return days;
+};
+
+module.exports = {
+  DAY_NAMES,
+  MAX_SLOT_RANGE_DAYS,
+  toMinutes,
+  toTimeString,
+  getToday,
+  hasSlotStarted,
+  addDays,
+  getDayName,
+  parseAvailableDays,
+  checkDoctorSchedule,
+  generateSlots
+};
+
+// ============================================
+// 14. controllers/appointmentController.js
+// ============================================
+const pool = require('../config/db');
+const { MAX_SLOT_RANGE_DAYS, getToday, hasSlotStarted, addDays, getDayName, checkDoctorSchedule, 
+        generateSlots } = require('../utils/schedule');
+
+const APPOINTMENT_STATUSES = ['Scheduled', 'Completed', 'Cancelled', 'No-show'];
+
+// Status changes the hospital can make. Nothing returns to Scheduled, since the slot may
+// have been booked again; Completed and No-show can be swapped to correct a mistake.
+const APPOINTMENT_TRANSITIONS = {
+  Scheduled: ['Completed', 'Cancelled', 'No-show'],
+  Completed: ['No-show'],
+  'No-show': ['Completed']
+};
+
+// Unique index that allows only one active appointment per doctor/date/time
+const isSlotConflict = (error) => error.code === '23505' && error.constraint === 'uq_appointments_doctor_slot';
+
+const slotConflictResponse = (res) => res.status(409).json({ 
+  success: false, 
+  message: 'This slot has already been booked. Please choose another time.' 
+});
+
+// Leave/holiday exception covering the given date for this doctor, if any
+const findScheduleException = async (db, doctor, date) => {
+  const result = await db.query(
+    `SELECT exception_id, reason FROM schedule_exceptions
+     WHERE hospital_id = $1 AND (doctor_id IS NULL OR doctor_id = $2)
+       AND $3::date BETWEEN start_date AND end_date
+     LIMIT 1`,
+    [doctor.hospital_id, doctor.doctor_id, date]
+  );
+  return result.rows[0] || null;
+};
+
+// Book Appointment (User)
+const bookAppointment = async (req, res) => {
+  try {
+    const { doctor_id, appointment_date, appointment_time, symptoms } = req.body;
+    const user_id = req.user.id;
+
+    if (!doctor_id || !appointment_date || !appointment_time) {
+      return res.status(400).json({ success: false, message: 'doctor_id, appointment_date and appointment_time are required' });
+    }
+
+    const outcome = await pool.withTransaction(async (client) => {
+      // Lock the doctor row so schedule changes cannot interleave with the booking
+      const doctorResult = await client.query(
+        `SELECT d.* FROM doctors d
+         JOIN hospitals h ON d.hospital_id = h.hospital_id
+         WHERE d.doctor_id = $1 AND d.is_available = true AND h.is_active = true
+         FOR SHARE OF d`,
+        [doctor_id]
+      );
+
+      if (doctorResult.rows.length === 0) {
+        return { status: 404, message: 'Doctor not found' };
+      }
+
+      const doctor = doctorResult.rows[0];
+
+      const scheduleError = checkDoctorSchedule(doctor, appointment_date, appointment_time);
+      if (scheduleError) {
+        return { status: 400, message: scheduleError };
+      }
+
+      if (hasSlotStarted(appointment_date, appointment_time)) {
+        return { status: 400, message: 'Appointment time cannot be in the past' };
+      }
+
+      const exception = await findScheduleException(client, doctor, appointment_date);
+      if (exception) {
+        return { status: 400, message: `Doctor is unavailable on ${appointment_date} (${exception.reason})` };
+      }
+
+      const result = await client.query(
+        `INSERT INTO appointments (user_id, doctor_id, hospital_id, appointment_date, appointment_time, symptoms) 
+         VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+        [user_id, doctor.doctor_id, doctor.hospital_id, appointment_date, appointment_time, symptoms]
+      );
+
+      return { appointment: result.rows[0] };
+    });
+
+    if (!outcome.appointment) {
+      return res.status(outcome.status).json({ success: false, message: outcome.message });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Appointment booked successfully',
+      data: outcome.appointment
+    });
+  } catch (error) {
+    if (isSlotConflict(error)) {
+      return slotConflictResponse(res);
+    }
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Free Consultation Slots for a Doctor
+const getDoctorSlots = async (req, res) => {
+  try {
+    const { doctor_id } = req.params;
+    const from = req.query.from || getToday();
+    const to = req.query.to || addDays(from, 6);
+
+    if (!getDayName(from) || !getDayName(to) || to < from) {
+      return res.status(400).json({ success: false, message: 'Invalid date range. Use from/to as YYYY-MM-DD' });
+    }
+
+    if (to > addDays(from, MAX_SLOT_RANGE_DAYS - 1)) {
+      return res.status(400).json({ success: false, message: `Date range cannot exceed ${MAX_SLOT_RANGE_DAYS} days` });
+    }
+
+    const doctorResult = await pool.query(
+      `SELECT d.doctor_id, d.hospital_id, d.full_name, d.specialization, d.available_days, d.available_time_from, 
+              d.available_time_to, d.slot_duration_minutes, h.hospital_name
+       FROM doctors d
+       JOIN hospitals h ON d.hospital_id = h.hospital_id
+       WHERE d.doctor_id = $1 AND d.is_available = true AND h.is_active = true`,
+      [doctor_id]
+    );
+
+    if (doctorResult.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Doctor not found' });
+    }
+
+    const doctor = doctorResult.rows[0];
+
+    const booked = await pool.query(
+      `SELECT to_char(appointment_date, 'YYYY-MM-DD') as appointment_date, appointment_time
+       FROM appointments
+       WHERE doctor_id = $1 AND appointment_date BETWEEN $2 AND $3 AND status <> 'Cancelled'`,
+      [doctor_id, from, to]
+    );
+
+    const exceptions = await pool.query(
+      `SELECT to_char(start_date, 'YYYY-MM-DD') as start_date, to_char(end_date, 'YYYY-MM-DD') as end_date, reason
+       FROM schedule_exceptions
+       WHERE hospital_id = $1 AND (doctor_id IS NULL OR doctor_id = $2)
+         AND start_date <= $4 AND end_date >= $3`,
+      [doctor.hospital_id, doctor_id, from, to]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        doctor,
+        from,
+        to,
+        days: generateSlots(doctor, from, to, booked.rows, exceptions.rows)
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// List Appointments (User)
+const getUserAppointments = async (req, res) => {
+  try {
+    const user_id = req.user.id;
+    const { status } = req.query;
+
+    let query = `
+      SELECT a.*, d.full_name as doctor_name, d.specialization, d.room_number,
+             h.hospital_name, h.address, h.city, h.phone as hospital_phone
+      FROM appointments a
+      JOIN doctors d ON a.doctor_id = d.doctor_id
+      JOIN hospitals h ON a.hospital_id = h.hospital_id
+      WHERE a.user_id = $1
+    `;
+    const params = [user_id];
+
+    if (status) {
+      query += ' AND a.status = $2';
+      params.push(status);
+    }
+
+    query += ' ORDER BY a.appointment_date DESC, a.appointment_time DESC';
+
+    const result = await pool.query(query, params);
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Reschedule Appointment (User)
+const rescheduleAppointment = async (req, res) => {
+  try {
+    const { appointment_id } = req.params;
+    const { appointment_date, appointment_time } = req.body;
+    const user_id = req.user.id;
+
+    if (!appointment_date || !appointment_time) {
+      return res.status(400).json({ success: false, message: 'appointment_date and appointment_time are required' });
+    }
+
+    const outcome = await pool.withTransaction(async (client) => {
+      const checkAppointment = await client.query(
+        `SELECT a.status, d.* FROM appointments a
+         JOIN doctors d ON a.doctor_id = d.doctor_id
+         WHERE a.appointment_id = $1 AND a.user_id = $2
+         FOR UPDATE OF a`,
+        [appointment_id, user_id]
+      );
+
+      if (checkAppointment.rows.length === 0) {
+        return { status: 404, message: 'Appointment not found' };
+      }
+
+      const appointment = checkAppointment.rows[0];
+
+      if (appointment.status !== 'Scheduled') {
+        return { status: 400, message: `Cannot reschedule a ${appointment.status} appointment` };
+      }
+
+      if (!appointment.is_available) {
+        return { status: 400, message: 'Doctor is currently not available' };
+      }
+
+      const scheduleError = checkDoctorSchedule(appointment, appointment_date, appointment_time);
+      if (scheduleError) {
+        return { status: 400, message: scheduleError };
+      }
+
+      if (hasSlotStarted(appointment_date, appointment_time)) {
+        return { status: 400, message: 'Appointment time cannot be in the past' };
+      }
+
+      const exception = await findScheduleException(client, appointment, appointment_date);
+      if (exception) {
+        return { status: 400, message: `Doctor is unavailable on ${appointment_date} (${exception.reason})` };
+      }
+
+      const result = await client.query(
+        `UPDATE appointments SET appointment_date = $1, appointment_time = $2 
+         WHERE appointment_id = $3 AND user_id = $4 RETURNING *`,
+        [appointment_date, appointment_time, appointment_id, user_id]
+      );
+
+      return { appointment: result.rows[0] };
+    });
+
+    if (!outcome.appointment) {
+      return res.status(outcome.status).json({ success: false, message: outcome.message });
+    }
+
+    res.json({
+      success: true,
+      message: 'Appointment rescheduled successfully',
+      data: outcome.appointment
+    });
+  } catch (error) {
+    if (isSlotConflict(error)) {
+      return slotConflictResponse(res);
+    }
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Cancel Appointment (User)
+const cancelAppointment = async (req, res) => {
+  try {
+    const { appointment_id } = req.params;
+    const user_id = req.user.id;
+
+    const checkAppointment = await pool.query(
+      'SELECT status FROM appointments WHERE appointment_id = $1 AND user_id = $2',
+      [appointment_id, user_id]
+    );
+
+    if (checkAppointment.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Appointment not found' });
+    }
+
+    const { status } = checkAppointment.rows[0];
+    if (status !== 'Scheduled') {
+      return res.status(400).json({ success: false, message: `Cannot cancel a ${status} appointment` });
+    }
+
+    const result = await pool.query(
+      `UPDATE appointments SET status = 'Cancelled' 
+       WHERE appointment_id = $1 AND user_id = $2 RETURNING *`,
+      [appointment_id, user_id]
+    );
+
+    res.json({
+      success: true,
+      message: 'Appointment cancelled successfully',
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// List Appointments for the Hospital's Doctors
+const getHospitalAppointments = async (req, res) => {
+  try {
+    const hospital_id = req.user.id;
+    const { doctor_id, status, date } = req.query;
+
+    let query = `
+      SELECT a.*, d.full_name as doctor_name, d.specialization,
+             u.full_name as patient_name, u.email as patient_email, u.phone as patient_phone
+      FROM appointments a
+      JOIN doctors d ON a.doctor_id = d.doctor_id
+      JOIN users u ON a.user_id = u.user_id
+      WHERE a.hospital_id = $1
+    `;
+    const params = [hospital_id];
+    let paramCount = 2;
+
+    if (doctor_id) {
+      query += ` AND a.doctor_id = $${paramCount}`;
+      params.push(doctor_id);
+      paramCount++;
+    }
+
+    if (status) {
+      query += ` AND a.status = $${paramCount}`;
+      params.push(status);
+      paramCount++;
+    }
+
+    if (date) {
+      query += ` AND a.appointment_date = $${paramCount}`;
+      params.push(date);
+      paramCount++;
+    }
+
+    query += ' ORDER BY a.appointment_date, a.appointment_time';
+
+    const result = await pool.query(query, params);
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Update Appointment Status (Hospital)
+const updateAppointmentStatus = async (req, res) => {
+  try {
+    const { appointment_id } = req.params;
+    const { status, notes } = req.body;
+    const hospital_id = req.user.id;
+
+    if (!APPOINTMENT_STATUSES.includes(status)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Status must be one of: ${APPOINTMENT_STATUSES.join(', ')}` 
+      });
+    }
+
+    const outcome = await pool.withTransaction(async (client) => {
+      const current = await client.query(
+        'SELECT status FROM appointments WHERE appointment_id = $1 AND hospital_id = $2 FOR UPDATE',
+        [appointment_id, hospital_id]
+      );
+
+      if (current.rows.length === 0) {
+        return { status: 404, message: 'Appointment not found' };
+      }
+
+      // Keeping the same status only updates the notes
+      const currentStatus = current.rows[0].status;
+      if (status !== currentStatus && !(APPOINTMENT_TRANSITIONS[currentStatus] || []).includes(status)) {
+        return { status: 400, message: `Cannot change a ${currentStatus} appointment to ${status}` };
+      }
+
+      const result = await client.query(
+        `UPDATE appointments SET status = $1, notes = COALESCE($2, notes) 
+         WHERE appointment_id = $3 AND hospital_id = $4 RETURNING *`,
+        [status, notes, appointment_id, hospital_id]
+      );
+
+      return { appointment: result.rows[0] };
+    });
+
+    if (!outcome.appointment) {
+      return res.status(outcome.status).json({ success: false, message: outcome.message });
+    }
+
+    res.json({
+      success: true,
+      message: 'Appointment status updated successfully',
+      data: outcome.appointment
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+module.exports = {
+  getDoctorSlots,
+  bookAppointment,
+  getUserAppointments,
+  rescheduleAppointment,
+  cancelAppointment,
+  getHospitalAppointments,
+  updateAppointmentStatus
+};
+
+// ============================================
+// 15. controllers/scheduleExceptionController.js
+// ============================================
+const pool = require('../config/db');
+const { getDayName } = require('../utils/schedule');
+
+const EXCEPTION_REASONS = ['Leave', 'Conference', 'Holiday', 'Other'];
+
+// Add Leave/Holiday Exception (Hospital)
+// Omitting doctor_id applies the exception to every doctor in the hospital (e.g. public holidays)
+const addScheduleException = async (req, res) => {
+  try {
+    const { doctor_id, start_date, reason, notes } = req.body;
+    const end_date = req.body.end_date || start_date;
+    const hospital_id = req.user.id;
+
+    if (!getDayName(start_date) || !getDayName(end_date) || end_date < start_date) {
+      return res.status(400).json({ success: false, message: 'Invalid date range. Use start_date/end_date as YYYY-MM-DD' });
+    }
+
+    if (!EXCEPTION_REASONS.includes(reason)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Reason must be one of: ${EXCEPTION_REASONS.join(', ')}` 
+      });
+    }
+
+    if (doctor_id) {
+      const checkDoctor = await pool.query(
+        'SELECT doctor_id FROM doctors WHERE doctor_id = $1 AND hospital_id = $2',
+        [doctor_id, hospital_id]
+      );
+
+      if (checkDoctor.rows.length === 0) {
+        return res.status(404).json({ success: false, message: 'Doctor not found' });
+      }
+    }
+
+    const result = await pool.query(
+      `INSERT INTO schedule_exceptions (hospital_id, doctor_id, start_date, end_date, reason, notes) 
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+      [hospital_id, doctor_id || null, start_date, end_date, reason, notes]
+    );
+
+    // Appointments that now fall on a day off and need rescheduling
+    const conflicts = await pool.query(
+      `SELECT a.*, d.full_name as doctor_name,
+              u.full_name as patient_name, u.email as patient_email, u.phone as patient_phone
+       FROM appointments a
+       JOIN doctors d ON a.doctor_id = d.doctor_id
+       JOIN users u ON a.user_id = u.user_id
+       WHERE a.hospital_id = $1 AND ($2::integer IS NULL OR a.doctor_id = $2)
+         AND a.appointment_date BETWEEN $3 AND $4 AND a.status = 'Scheduled'
+       ORDER BY a.appointment_date, a.appointment_time`,
+      [hospital_id, doctor_id || null, start_date, end_date]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Schedule exception added successfully',
+      data: {
+        exception: result.rows[0],
+        conflicting_appointments: conflicts.rows
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// List Leave/Holiday Exceptions (Hospital)
+const getScheduleExceptions = async (req, res) => {
+  try {
+    const hospital_id = req.user.id;
+    const { doctor_id, upcoming } = req.query;
+
+    let query = `
+      SELECT e.*, d.full_name as doctor_name
+      FROM schedule_exceptions e
+      LEFT JOIN doctors d ON e.doctor_id = d.doctor_id
+      WHERE e.hospital_id = $1
+    `;
+    const params = [hospital_id];
+    let paramCount = 2;
+
+    if (doctor_id) {
+      query += ` AND (e.doctor_id = $${paramCount} OR e.doctor_id IS NULL)`;
+      params.push(doctor_id);
+      paramCount++;
+    }
+
+    if (upcoming === 'true') {
+      query += ' AND e.end_date >= CURRENT_DATE';
+    }
+
+    query += ' ORDER BY e.start_date';
+
+    const result = await pool.query(query, params);
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Remove Leave/Holiday Exception (Hospital)
+const deleteScheduleException = async (req, res) => {
+  try {
+    const { exception_id } = req.params;
+    const hospital_id = req.user.id;
+
+    const result = await pool.query(
+      'DELETE FROM schedule_exceptions WHERE exception_id = $1 AND hospital_id = $2 RETURNING *',
+      [exception_id, hospital_id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Schedule exception not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Schedule exception deleted successfully'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+module.exports = {
+  addScheduleException,
+  getScheduleExceptions,
+  deleteScheduleException
+};
+
+// ============================================
+// 16. utils/availabilityEvents.js - Real-time Availability (Server-Sent Events)
+// ============================================
+const { isSessionActive, verifyStreamToken } = require('./sessions');
+
+const sseClients = new Set();
+const HEARTBEAT_INTERVAL_MS = 25000;
+let lastEventId = 0;
+
+const containsText = (value, filter) => !filter || (value || '').toLowerCase().includes(filter.toLowerCase());
+
+// Decide whether an event is relevant to a subscriber's filters
+const matchesFilters = (event, filters) => {
+  if (!containsText(event.city, filters.city)) {
+    return false;
+  }
+
+  if (!filters.medicine_name && !filters.specialization) {
+    return true;
+  }
+
+  if (event.type === 'medicine') {
+    return Boolean(filters.medicine_name) &&
+      (containsText(event.medicine_name, filters.medicine_name) || containsText(event.generic_name, filters.medicine_name));
+  }
+
+  return Boolean(filters.specialization) && containsText(event.specialization, filters.specialization);
+};
+
+// Subscribe to availability changes, optionally filtered by city, medicine_name or specialization.
+// Opened with ?token= from POST /availability/stream-token, since EventSource cannot send headers.
+const streamAvailability = async (req, res) => {
+  try {
+    const { token, city, medicine_name, specialization } = req.query;
+    const filters = { city, medicine_name, specialization };
+
+    // Repeated parameters (?city=a&city=b) arrive as arrays
+    if (Object.values(filters).some((value) => value !== undefined && typeof value !== 'string')) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'city, medicine_name and specialization can each be given only once' 
+      });
+    }
+
+    const stream = typeof token === 'string' ? await verifyStreamToken(token, 'user') : null;
+    if (!stream) {
+      return res.status(401).json({ success: false, message: 'Invalid or expired stream token' });
+    }
+
+    const client = { res, filters };
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+
+    sseClients.add(client);
+
+    // Comment lines keep proxies from closing idle connections. Each beat also ends the stream
+    // once the access token it was opened with has expired or its session was logged out.
+    const heartbeat = setInterval(async () => {
+      try {
+        if (Date.now() >= stream.access_exp * 1000 || !(await isSessionActive(stream.sid))) {
+          res.end();
+          return;
+        }
+        res.write(': heartbeat\n\n');
+      } catch (error) {
+        console.error(error);
+      }
+    }, HEARTBEAT_INTERVAL_MS);
+
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      sseClients.delete(client);
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Push an availability event ({ type: 'medicine' | 'doctor', city, ... }) to matching subscribers
+const publishAvailabilityEvent = (event) => {
+  lastEventId++;
+  const payload = `id: ${lastEventId}\nevent: availability\ndata: ${JSON.stringify({ ...event, timestamp: new Date().toISOString() })}\n\n`;
+
+  // Publishing runs after the change is saved, so a failing subscriber is logged and skipped
+  // rather than turning the caller's response into an error
+  sseClients.forEach((client) => {
+    try {
+      if (matchesFilters(event, client.filters)) {
+        client.res.write(payload);
+      }
+    } catch (error) {
+      console.error(error);
+    }
+  });
+};
+
+module.exports = {
+  streamAvailability,
+  publishAvailabilityEvent
+};
+
+// ============================================
+// 17. utils/notifications.js - In-app Notifications
+// ============================================
+const pool = require('../config/db');
+
+const STOCK_ALERT_COOLDOWN_HOURS = 24;
+
+// Store an inbox notification for a user, hospital or pharmacy account
+const createNotification = async (db, recipientType, recipientId, { type, title, message, data }) => {
+  const result = await db.query(
+    `INSERT INTO notifications (recipient_type, recipient_id, type, title, message, data) 
+     VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+    [recipientType, recipientId, type, title, message, data ? JSON.stringify(data) : null]
+  );
+  return result.rows[0];
+};
+
+const isInStock = (medicine) => Boolean(medicine && medicine.is_available && medicine.stock_quantity > 0);
+
+const isBelowReorderLevel = (medicine) => Boolean(medicine && medicine.reorder_level > 0 && medicine.stock_quantity < medicine.reorder_level);
+
+// Order size to suggest: the pharmacy's usual reorder quantity, otherwise enough to get back to the reorder level
+const suggestedReorderQuantity = (medicine) => medicine.reorder_quantity || medicine.reorder_level - medicine.stock_quantity;
+
+// Notify users subscribed to a medicine in this pharmacy's city that it is back in stock.
+// Failures are logged rather than thrown so they never break the stock update itself.
+const notifyStockSubscribers = async (medicine) => {
+  try {
+    const subscriptions = await pool.query(
+      `SELECT s.subscription_id, s.user_id, p.pharmacy_name, p.city, p.address
+       FROM stock_alert_subscriptions s
+       JOIN pharmacies p ON p.pharmacy_id = $1 AND p.city ILIKE s.city AND p.is_active = true
+       WHERE s.is_active = true
+         AND ($2 ILIKE '%' || s.medicine_name || '%' OR $3 ILIKE '%' || s.medicine_name || '%')
+         AND (s.last_notified_at IS NULL OR s.last_notified_at < NOW() - make_interval(hours => $4))`,
+      [medicine.pharmacy_id, medicine.medicine_name, medicine.generic_name || '', STOCK_ALERT_COOLDOWN_HOURS]
+    );
+
+    for (const subscription of subscriptions.rows) {
+      await createNotification(pool, 'user', subscription.user_id, {
+        type: 'stock_alert',
+        title: `${medicine.medicine_name} is back in stock`,
+        message: `${medicine.medicine_name}${medicine.strength ? ` ${medicine.strength}` : ''} is now available at ${subscription.pharmacy_name}, ${subscription.address}.`,
+        data: {
+          subscription_id: subscription.subscription_id,
+          medicine_id: medicine.medicine_id,
+          pharmacy_id: medicine.pharmacy_id,
+          price: medicine.price,
+          stock_quantity: medicine.stock_quantity
+        }
+      });
+
+      await pool.query(
+        'UPDATE stock_alert_subscriptions SET last_notified_at = NOW() WHERE subscription_id = $1',
+        [subscription.subscription_id]
+      );
+    }
+  } catch (error) {
+    console.error('Failed to send stock alerts:', error);
+  }
+};
+
+// Tell the pharmacy a medicine has dropped below its reorder level.
+// Like stock alerts, failures are logged and never break the stock update.
+const notifyLowStock = async (medicine) => {
+  try {
+    const suggested = suggestedReorderQuantity(medicine);
+
+    await createNotification(pool, 'pharmacy', medicine.pharmacy_id, {
+      type: 'low_stock',
+      title: `${medicine.medicine_name} is running low`,
+      message: `Only ${medicine.stock_quantity} units of ${medicine.medicine_name}${medicine.strength ? ` ${medicine.strength}` : ''} left (reorder level ${medicine.reorder_level}). Suggested order: ${suggested} units.`,
+      data: {
+        medicine_id: medicine.medicine_id,
+        stock_quantity: medicine.stock_quantity,
+        reorder_level: medicine.reorder_level,
+        suggested_quantity: suggested
+      }
+    });
+  } catch (error) {
+    console.error('Failed to send low-stock alert:', error);
+  }
+};
+
+module.exports = {
+  createNotification,
+  isInStock,
+  isBelowReorderLevel,
+  suggestedReorderQuantity,
+  notifyStockSubscribers,
+  notifyLowStock
+};
+
+// ============================================
+// 18. controllers/notificationController.js
+// ============================================
+const pool = require('../config/db');
+
+// Subscribe to Back-in-Stock Alerts (User)
+const addStockAlert = async (req, res) => {
+  try {
+    const { medicine_name, city } = req.body;
+    const user_id = req.user.id;
+
+    if (!medicine_name || !city) {
+      return res.status(400).json({ success: false, message: 'medicine_name and city are required' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO stock_alert_subscriptions (user_id, medicine_name, city) 
+       VALUES ($1, $2, $3)
+       ON CONFLICT (user_id, LOWER(medicine_name), LOWER(city)) 
+       DO UPDATE SET is_active = true, last_notified_at = NULL
+       RETURNING *`,
+      [user_id, medicine_name.trim(), city.trim()]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'You will be notified when this medicine is back in stock',
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// List Back-in-Stock Alerts (User)
+const getStockAlerts = async (req, res) => {
+  try {
+    const user_id = req.user.id;
+
+    const result = await pool.query(
+      'SELECT * FROM stock_alert_subscriptions WHERE user_id = $1 AND is_active = true ORDER BY created_at DESC',
+      [user_id]
+    );
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Remove Back-in-Stock Alert (User)
+const deleteStockAlert = async (req, res) => {
+  try {
+    const { subscription_id } = req.params;
+    const user_id = req.user.id;
+
+    const result = await pool.query(
+      'DELETE FROM stock_alert_subscriptions WHERE subscription_id = $1 AND user_id = $2 RETURNING *',
+      [subscription_id, user_id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Stock alert not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Stock alert removed successfully'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Notifications Inbox (any logged-in account)
+const getNotifications = async (req, res) => {
+  try {
+    const { id, userType } = req.user;
+    const { unread } = req.query;
+
+    let query = 'SELECT * FROM notifications WHERE recipient_type = $1 AND recipient_id = $2';
+    if (unread === 'true') {
+      query += ' AND is_read = false';
+    }
+    query += ' ORDER BY created_at DESC LIMIT 100';
+
+    const result = await pool.query(query, [userType, id]);
+
+    const unreadCount = await pool.query(
+      'SELECT COUNT(*)::int as count FROM notifications WHERE recipient_type = $1 AND recipient_id = $2 AND is_read = false',
+      [userType, id]
+    );
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      unread_count: unreadCount.rows[0].count,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Mark One Notification as Read
+const markNotificationRead = async (req, res) => {
+  try {
+    const { notification_id } = req.params;
+    const { id, userType } = req.user;
+
+    const result = await pool.query(
+      `UPDATE notifications SET is_read = true 
+       WHERE notification_id = $1 AND recipient_type = $2 AND recipient_id = $3 RETURNING *`,
+      [notification_id, userType, id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Notification not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification marked as read',
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Mark All Notifications as Read
+const markAllNotificationsRead = async (req, res) => {
+  try {
+    const { id, userType } = req.user;
+
+    const result = await pool.query(
+      `UPDATE notifications SET is_read = true 
+       WHERE recipient_type = $1 AND recipient_id = $2 AND is_read = false`,
+      [userType, id]
+    );
+
+    res.json({
+      success: true,
+      message: 'All notifications marked as read',
+      count: result.rowCount
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+module.exports = {
+  addStockAlert,
+  getStockAlerts,
+  deleteStockAlert,
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+};
+
+// ============================================
+// 19. utils/geo.js - Distance Helpers (plain PostgreSQL, no PostGIS)
+// ============================================
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE_LATITUDE = 111.045;
+const DEFAULT_RADIUS_KM = 10;
+const MAX_RADIUS_KM = 100;
+
+const isValidLatitude = (value) => Number.isFinite(value) && value >= -90 && value <= 90;
+const isValidLongitude = (value) => Number.isFinite(value) && value >= -180 && value <= 180;
+
+// Validate latitude/longitude sent on registration or profile update.
+// Both must be given together; returns an error message or null.
+const validateCoordinates = (latitude, longitude) => {
+  const hasLatitude = latitude !== undefined && latitude !== null && latitude !== '';
+  const hasLongitude = longitude !== undefined && longitude !== null && longitude !== '';
+
+  if (!hasLatitude && !hasLongitude) {
+    return null;
+  }
+
+  if (hasLatitude !== hasLongitude) {
+    return 'latitude and longitude must be provided together';
+  }
+
+  if (!isValidLatitude(Number(latitude)) || !isValidLongitude(Number(longitude))) {
+    return 'Invalid coordinates. latitude must be -90..90 and longitude -180..180';
+  }
+
+  return null;
+};
+
+// Parse lat/lng/radius_km search parameters.
+// Returns null when no location was sent, { error } when it is invalid.
+const parseGeoQuery = ({ lat, lng, radius_km }) => {
+  if (lat === undefined && lng === undefined) {
+    return null;
+  }
+
+  const latitude = Number(lat);
+  const longitude = Number(lng);
+  if (!isValidLatitude(latitude) || !isValidLongitude(longitude)) {
+    return { error: 'lat and lng must both be valid coordinates' };
+  }
+
+  const radiusKm = radius_km === undefined ? DEFAULT_RADIUS_KM : Number(radius_km);
+  if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+    return { error: `radius_km must be between 0 and ${MAX_RADIUS_KM}` };
+  }
+
+  return { lat: latitude, lng: longitude, radiusKm };
+};
+
+// Great-circle (haversine) distance in km between a table's coordinates and a point
+const distanceSql = (alias, latParam, lngParam) => `ROUND((${EARTH_RADIUS_KM} * 2 * ASIN(SQRT(
+    POWER(SIN(RADIANS(${alias}.latitude - ${latParam}::float8) / 2), 2) +
+    COS(RADIANS(${latParam}::float8)) * COS(RADIANS(${alias}.latitude)) *
+    POWER(SIN(RADIANS(${alias}.longitude - ${lngParam}::float8) / 2), 2)
+  )))::numeric, 2)`;
+
+// WHERE condition keeping rows within the radius; the latitude band lets the index prune rows first
+const withinRadiusSql = (alias, latParam, lngParam, radiusParam) => `${alias}.latitude IS NOT NULL AND ${alias}.longitude IS NOT NULL
+        AND ${alias}.latitude BETWEEN ${latParam}::float8 - ${radiusParam}::float8 / ${KM_PER_DEGREE_LATITUDE}
+                              AND ${latParam}::float8 + ${radiusParam}::float8 / ${KM_PER_DEGREE_LATITUDE}
+        AND ${distanceSql(alias, latParam, lngParam)} <= ${radiusParam}::float8`;
+
+module.exports = {
+  validateCoordinates,
+  parseGeoQuery,
+  distanceSql,
+  withinRadiusSql
+};
+
+// ============================================
+// 20. utils/pagination.js - Paging, Sorting and Facets for List Endpoints
+// ============================================
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Parse page/limit/sort/order query params. `sortOptions` maps each allowed
+// sort key to the SQL expression it orders by, so user input never reaches the SQL.
+// `defaultOrders` overrides the ascending default for keys such as relevance.
+// `unpagedByDefault` returns every row when neither page nor limit is given, for lists
+// the dashboards load whole.
+const parseListOptions = ({ page, limit, sort, order }, sortOptions, defaultSort, defaultOrders = {}, 
+  unpagedByDefault = false) => {
+  const pageNumber = page === undefined ? 1 : Number(page);
+  if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+    return { error: 'page must be a positive integer' };
+  }
+
+  const unpaged = unpagedByDefault && page === undefined && limit === undefined;
+  const pageSize = unpaged ? null : limit === undefined ? DEFAULT_PAGE_SIZE : Number(limit);
+  if (!unpaged && (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE)) {
+    return { error: `limit must be between 1 and ${MAX_PAGE_SIZE}` };
+  }
+
+  const sortKey = sort || defaultSort;
+  if (!sortOptions[sortKey]) {
+    return { error: `sort must be one of: ${Object.keys(sortOptions).join(', ')}` };
+  }
+
+  const direction = (order || defaultOrders[sortKey] || 'asc').toLowerCase();
+  if (direction !== 'asc' && direction !== 'desc') {
+    return { error: 'order must be asc or desc' };
+  }
+
+  return {
+    page: pageNumber,
+    limit: pageSize,
+    offset: unpaged ? 0 : (pageNumber - 1) * pageSize,
+    sort: sortKey,
+    order: direction,
+    orderBy: `${sortOptions[sortKey]} ${direction.toUpperCase()} NULLS LAST`
+  };
+};
+
+// Run a filtered query for one page (all rows when limit is null).
+// `tieBreaker` keeps the order stable across pages.
+const fetchPage = async (db, query, params, options, tieBreaker) => {
+  const countResult = await db.query(`SELECT COUNT(*)::int as total FROM (${query}) as filtered`, params);
+  // LIMIT NULL means no limit in PostgreSQL
+  const pageResult = await db.query(
+    `${query} ORDER BY ${options.orderBy}, ${tieBreaker} LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, options.limit, options.offset]
+  );
+
+  return { rows: pageResult.rows, total: countResult.rows[0].total };
+};
+
+// Counts per distinct value of each column across the whole filtered result (not just
+// the current page), e.g. { category: [{ value: 'Antibiotics', count: 12 }, ...] }.
+// Column names come from the controllers, never from the request.
+const fetchFacets = async (db, query, params, columns, maxValues = 20) => {
+  const facets = {};
+
+  for (const column of columns) {
+    const result = await db.query(
+      `SELECT ${column} as value, COUNT(*)::int as count
+       FROM (${query}) as filtered
+       WHERE ${column} IS NOT NULL
+       GROUP BY ${column}
+       ORDER BY count DESC, value
+       LIMIT ${maxValues}`,
+      params
+    );
+    facets[column] = result.rows;
+  }
+
+  return facets;
+};
+
+// Pagination block included alongside `data` in list responses
+const buildPagination = (total, { page, limit, sort, order }) => {
+  const totalPages = limit === null ? Math.min(total, 1) : Math.ceil(total / limit);
+  return {
+    page,
+    limit,
+    total,
+    total_pages: totalPages,
+    has_next_page: page < totalPages,
+    next_page: page < totalPages ? page + 1 : null,
+    sort,
+    order
+  };
+};
+
+module.exports = {
+  parseListOptions,
+  fetchPage,
+  fetchFacets,
+  buildPagination
+};
+
+// ============================================
+// 21. utils/fuzzySearch.js - Typo-tolerant Search (pg_trgm)
+// ============================================
+// Minimum pg_trgm word similarity for a fuzzy hit ("paracetmol" vs "Paracetamol" scores ~0.64).
+// The <% operator reads it from pg_trgm.word_similarity_threshold, which config/db.js sets on
+// every connection; unlike word_similarity() >= x, the operator can use the trigram indexes.
+const FUZZY_MATCH_THRESHOLD = 0.5;
+const SUGGESTION_THRESHOLD = 0.3;
+
+// Bind each free-text query param listed in `fields` ({ param: [columns] }) and
+// return the terms with their placeholders for matching and scoring.
+const addTextTerms = (query, fields, params) => Object.keys(fields)
+  .filter((name) => typeof query[name] === 'string' && query[name].trim())
+  .map((name) => {
+    params.push(query[name].trim());
+    return { name, value: query[name].trim(), placeholder: `$${params.length}`, columns: fields[name] };
+  });
+
+// WHERE condition: substring hit or close trigram match on any of the term's columns
+const fuzzyMatchSql = ({ placeholder, columns }) => `(${columns
+  .map((column) => `${column} ILIKE '%' || ${placeholder} || '%' OR ${placeholder} <% ${column}`)
+  .join(' OR ')})`;
+
+// Relevance between 0 and 1: the best score per term (1 for a substring hit), averaged over terms
+const relevanceSql = (terms) => `ROUND(((${terms
+  .map(({ placeholder, columns }) => `GREATEST(${columns
+    .map((column) => `CASE WHEN ${column} ILIKE '%' || ${placeholder} || '%' THEN 1 ELSE COALESCE(word_similarity(${placeholder}, ${column}), 0) END`)
+    .join(', ')})`)
+  .join(' + ')}) / ${terms.length})::numeric, 3)`;
+
+// "Did you mean" lookup for terms that matched nothing. `sources` maps a term name to
+// a query returning candidate values in a column named `value`. No index serves a DISTINCT
+// subquery anyway, so this keeps the function form and its own, lower cut-off.
+const suggestTerms = async (db, terms, sources) => {
+  const suggestions = {};
+
+  for (const term of terms) {
+    if (!sources[term.name]) {
+      continue;
+    }
+
+    const result = await db.query(
+      `SELECT value FROM (${sources[term.name]}) as candidates
+       WHERE value IS NOT NULL AND word_similarity($1, value) >= ${SUGGESTION_THRESHOLD}
+       ORDER BY similarity($1, value) DESC, value
+       LIMIT 1`,
+      [term.value]
+    );
+
+    if (result.rows.length > 0 && result.rows[0].value.toLowerCase() !== term.value.toLowerCase()) {
+      suggestions[term.name] = result.rows[0].value;
+    }
+  }
+
+  return Object.keys(suggestions).length > 0 ? suggestions : null;
+};
+
+module.exports = {
+  FUZZY_MATCH_THRESHOLD,
+  addTextTerms,
+  fuzzyMatchSql,
+  relevanceSql,
+  suggestTerms
+};
+
+// ============================================
+// 22. middleware/rateLimit.js - In-memory Rate Limiting
+// ============================================
+// Fixed-window limiter keyed by client IP. Counters live in process memory,
+// so each server instance enforces its own limit.
+const rateLimit = ({ windowMs, max, message = 'Too many requests. Please try again later.' }) => {
+  const hits = new Map();
+
+  // Drop expired windows so the map does not grow without bound
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    hits.forEach((entry, key) => {
+      if (entry.resetAt <= now) {
+        hits.delete(key);
+      }
+    });
+  }, windowMs);
+  cleanup.unref();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    let entry = hits.get(req.ip);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(req.ip, entry);
+    }
+
+    entry.count++;
+
+    res.set('X-RateLimit-Limit', String(max));
+    res.set('X-RateLimit-Remaining', String(Math.max(max - entry.count, 0)));
+    res.set('X-RateLimit-Reset', String(Math.ceil(entry.resetAt / 1000)));
+
+    if (entry.count > max) {
+      res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+      return res.status(429).json({ success: false, message });
+    }
+
+    next();
+  };
+};
+
+module.exports = rateLimit;
+
+// ============================================
+// 23. utils/inventory.js - Batch-level Stock Keeping
+// ============================================
+// medicines.stock_quantity and medicines.expiry_date are derived from medicine_batches:
+// stock is the sum of non-expired batches and expiry is the nearest one still in stock.
+const pool = require('../config/db');
+const { createNotification, isInStock, isBelowReorderLevel, notifyStockSubscribers, notifyLowStock } = require('./notifications');
+const { publishAvailabilityEvent } = require('./availabilityEvents');
+
+const OPENING_BATCH_NUMBER = 'OPENING';
+
+class InsufficientStockError extends Error {
+  constructor(available) {
+    super(`Only ${available} units in stock`);
+    this.available = available;
+  }
+}
+
+const STOCK_MOVEMENT_REASONS = ['restock', 'sale', 'adjustment', 'expiry', 'reservation', 'release'];
+
+// SQL condition for batches that can still be sold
+const SELLABLE_BATCH_SQL = '(expiry_date IS NULL OR expiry_date >= CURRENT_DATE)';
+
+// Append one entry to the stock ledger
+const recordStockMovement = (db, medicine, quantityChange, balanceAfter, 
+  { reason, actorType, actorId, batchNumber, note, reservationId }) => db.query(
+  `INSERT INTO stock_movements (pharmacy_id, medicine_id, medicine_name, batch_number, quantity_change, 
+   balance_after, reason, note, actor_type, actor_id, reservation_id) 
+   VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+  [medicine.pharmacy_id, medicine.medicine_id, medicine.medicine_name, batchNumber || null, quantityChange,
+   balanceAfter, reason, note || null, actorType, actorId || null, reservationId || null]
+);
+
+// Recompute a medicine's stock and nearest expiry from its batches and log the change
+// in the stock ledger. `movement` ({ reason, actorType, actorId, batchNumber, note, reservationId }) says
+// why stock changed; batches that expired since the last sync are logged as a separate
+// 'expiry' entry first, so the ledger always adds up to stock_quantity.
+const syncMedicineStock = async (db, medicineId, movement) => {
+  const before = await db.query(
+    'SELECT stock_quantity, expiry_date FROM medicines WHERE medicine_id = $1',
+    [medicineId]
+  );
+  // Only batches that expired since the last sync, so each lot is counted once
+  const expired = await db.query(
+    `SELECT COALESCE(SUM(quantity), 0)::int as quantity, COUNT(*)::int as batches FROM medicine_batches
+     WHERE medicine_id = $1 AND quantity > 0 AND expiry_date >= $2 AND expiry_date < CURRENT_DATE`,
+    [medicineId, before.rows[0].expiry_date]
+  );
+
+  const result = await db.query(
+    `UPDATE medicines m SET stock_quantity = COALESCE(b.total, 0), expiry_date = b.next_expiry
+     FROM (
+       SELECT SUM(quantity) FILTER (WHERE ${SELLABLE_BATCH_SQL}) as total,
+              MIN(expiry_date) FILTER (WHERE quantity > 0 AND ${SELLABLE_BATCH_SQL}) as next_expiry
+       FROM medicine_batches WHERE medicine_id = $1
+     ) b
+     WHERE m.medicine_id = $1 RETURNING m.*`,
+    [medicineId]
+  );
+  const medicine = result.rows[0];
+
+  let balance = before.rows[0].stock_quantity;
+  const expiredQuantity = Math.min(expired.rows[0].quantity, balance);
+
+  if (expiredQuantity > 0) {
+    balance -= expiredQuantity;
+    await recordStockMovement(db, medicine, -expiredQuantity, balance, {
+      reason: 'expiry',
+      actorType: 'system',
+      note: 'Batches passed their expiry date'
+    });
+
+    await createNotification(db, 'pharmacy', medicine.pharmacy_id, {
+      type: 'stock_expired',
+      title: `${medicine.medicine_name} stock expired`,
+      message: `${expiredQuantity} units of ${medicine.medicine_name}${medicine.strength ? ` ${medicine.strength}` : ''} passed their expiry date and were removed from sellable stock.`,
+      data: {
+        medicine_id: medicine.medicine_id,
+        expired_quantity: expiredQuantity,
+        expired_batches: expired.rows[0].batches,
+        expiry_date: before.rows[0].expiry_date,
+        stock_quantity: medicine.stock_quantity
+      }
+    });
+  }
+
+  if (medicine.stock_quantity !== balance) {
+    await recordStockMovement(db, medicine, medicine.stock_quantity - balance, medicine.stock_quantity, movement);
+  }
+
+  return medicine;
+};
+
+// Medicines created before batch tracking carry their stock on the medicine row;
+// move it into an opening batch so it is not lost on the next sync.
+const ensureOpeningBatch = async (db, medicine) => {
+  const existing = await db.query('SELECT 1 FROM medicine_batches WHERE medicine_id = $1 LIMIT 1', [medicine.medicine_id]);
+  if (existing.rows.length === 0 && medicine.stock_quantity > 0) {
+    await db.query(
+      `INSERT INTO medicine_batches (medicine_id, batch_number, quantity, expiry_date) 
+       VALUES ($1, $2, $3, $4)`,
+      [medicine.medicine_id, OPENING_BATCH_NUMBER, medicine.stock_quantity, medicine.expiry_date]
+    );
+  }
+};
+
+// Take quantity out of stock first-expiry-first-out. Must run inside a transaction.
+// Returns the per-batch breakdown; throws InsufficientStockError when short.
+const consumeStockFefo = async (db, medicineId, quantity) => {
+  const batches = await db.query(
+    `SELECT batch_id, batch_number, quantity, expiry_date FROM medicine_batches
+     WHERE medicine_id = $1 AND quantity > 0 AND ${SELLABLE_BATCH_SQL}
+     ORDER BY expiry_date NULLS LAST, batch_id
+     FOR UPDATE`,
+    [medicineId]
+  );
+
+  const available = batches.rows.reduce((sum, batch) => sum + batch.quantity, 0);
+  if (available < quantity) {
+    throw new InsufficientStockError(available);
+  }
+
+  const consumed = [];
+  let remaining = quantity;
+
+  for (const batch of batches.rows) {
+    if (remaining === 0) {
+      break;
+    }
+    const taken = Math.min(batch.quantity, remaining);
+    await db.query(
+      'UPDATE medicine_batches SET quantity = quantity - $1 WHERE batch_id = $2',
+      [taken, batch.batch_id]
+    );
+    consumed.push({ batch_id: batch.batch_id, batch_number: batch.batch_number, expiry_date: batch.expiry_date, quantity: taken });
+    remaining -= taken;
+  }
+
+  return consumed;
+};
+
+// Broadcast a stock change to live subscribers, back-in-stock alerts and the pharmacy's
+// own low-stock alert. Call after the change is committed.
+const announceStockChange = async (previous, medicine) => {
+  // Checked first: raising the reorder level alone can put a medicine below it
+  if (!isBelowReorderLevel(previous) && isBelowReorderLevel(medicine)) {
+    await notifyLowStock(medicine);
+  }
+
+  if (previous.stock_quantity === medicine.stock_quantity && previous.is_available === medicine.is_available) {
+    return;
+  }
+
+  const pharmacy = await pool.query(
+    'SELECT pharmacy_name, city FROM pharmacies WHERE pharmacy_id = $1',
+    [medicine.pharmacy_id]
+  );
+
+  publishAvailabilityEvent({
+    type: 'medicine',
+    medicine_id: medicine.medicine_id,
+    medicine_name: medicine.medicine_name,
+    generic_name: medicine.generic_name,
+    strength: medicine.strength,
+    price: medicine.price,
+    stock_quantity: medicine.stock_quantity,
+    is_available: medicine.is_available,
+    in_stock: isInStock(medicine),
+    pharmacy_id: medicine.pharmacy_id,
+    pharmacy_name: pharmacy.rows[0].pharmacy_name,
+    city: pharmacy.rows[0].city
+  });
+
+  if (!isInStock(previous) && isInStock(medicine)) {
+    await notifyStockSubscribers(medicine);
+  }
+};
+
+module.exports = {
+  OPENING_BATCH_NUMBER,
+  STOCK_MOVEMENT_REASONS,
+  SELLABLE_BATCH_SQL,
+  InsufficientStockError,
+  recordStockMovement,
+  syncMedicineStock,
+  ensureOpeningBatch,
+  consumeStockFefo,
+  announceStockChange
+};
+
+// ============================================
+// 24. controllers/batchController.js
+// ============================================
+const pool = require('../config/db');
+const { InsufficientStockError, syncMedicineStock, ensureOpeningBatch, consumeStockFefo, 
+        announceStockChange } = require('../utils/inventory');
+
+const BATCH_FIELDS = ['batch_number', 'quantity', 'expiry_date', 'purchase_price'];
+const DEFAULT_EXPIRY_WINDOW_DAYS = 30;
+const MAX_EXPIRY_WINDOW_DAYS = 365;
+
+// Load a medicine owned by the pharmacy, locking it for the rest of the transaction
+const findPharmacyMedicine = async (db, medicineId, pharmacyId) => {
+  const result = await db.query(
+    'SELECT * FROM medicines WHERE medicine_id = $1 AND pharmacy_id = $2 FOR UPDATE',
+    [medicineId, pharmacyId]
+  );
+  return result.rows[0] || null;
+};
+
+const isDuplicateBatch = (error) => error.code === '23505' && error.constraint === 'uq_medicine_batches_number';
+
+// List Batches of a Medicine (Pharmacy)
+const getMedicineBatches = async (req, res) => {
+  try {
+    const { medicine_id } = req.params;
+    const pharmacy_id = req.user.id;
+
+    const result = await pool.query(
+      `SELECT b.*, (b.expiry_date IS NOT NULL AND b.expiry_date < CURRENT_DATE) as is_expired
+       FROM medicine_batches b
+       JOIN medicines m ON b.medicine_id = m.medicine_id
+       WHERE b.medicine_id = $1 AND m.pharmacy_id = $2
+       ORDER BY b.expiry_date NULLS LAST, b.batch_id`,
+      [medicine_id, pharmacy_id]
+    );
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Receive a New Batch (Pharmacy)
+const addMedicineBatch = async (req, res) => {
+  try {
+    const { medicine_id } = req.params;
+    const { batch_number, quantity, expiry_date, purchase_price } = req.body;
+    const pharmacy_id = req.user.id;
+
+    if (!batch_number || !Number.isInteger(Number(quantity)) || Number(quantity) <= 0) {
+      return res.status(400).json({ success: false, message: 'batch_number and a positive whole quantity are required' });
+    }
+
+    const outcome = await pool.withTransaction(async (client) => {
+      const previous = await findPharmacyMedicine(client, medicine_id, pharmacy_id);
+      if (!previous) {
+        return null;
+      }
+
+      await ensureOpeningBatch(client, previous);
+
+      const batch = await client.query(
+        `INSERT INTO medicine_batches (medicine_id, batch_number, quantity, expiry_date, purchase_price) 
+         VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+        [medicine_id, batch_number, quantity, expiry_date || null, purchase_price]
+      );
+
+      const medicine = await syncMedicineStock(client, medicine_id, {
+        reason: 'restock',
+        actorType: 'pharmacy',
+        actorId: pharmacy_id,
+        batchNumber: batch_number,
+        note: req.body.note
+      });
+      return { previous, medicine, batch: batch.rows[0] };
+    });
+
+    if (!outcome) {
+      return res.status(404).json({ success: false, message: 'Medicine not found' });
+    }
+
+    await announceStockChange(outcome.previous, outcome.medicine);
+
+    res.status(201).json({
+      success: true,
+      message: 'Batch added successfully',
+      data: { batch: outcome.batch, medicine: outcome.medicine }
+    });
+  } catch (error) {
+    if (isDuplicateBatch(error)) {
+      return res.status(409).json({ success: false, message: 'A batch with this number already exists for this medicine' });
+    }
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Correct a Batch (Pharmacy)
+const updateMedicineBatch = async (req, res) => {
+  try {
+    const { medicine_id, batch_id } = req.params;
+    const pharmacy_id = req.user.id;
+
+    const fields = BATCH_FIELDS.filter((field) => req.body[field] !== undefined);
+    if (fields.length === 0) {
+      return res.status(400).json({ success: false, message: 'No batch fields to update' });
+    }
+
+    // Number('') is 0, so blank quantities are rejected before they can be mapped to NULL below
+    const { quantity } = req.body;
+    if (quantity !== undefined && (quantity === null || String(quantity).trim() === '' ||
+        !Number.isInteger(Number(quantity)) || Number(quantity) < 0)) {
+      return res.status(400).json({ success: false, message: 'quantity must be a whole number of zero or more' });
+    }
+
+    const values = fields.map((field) => (req.body[field] === '' ? null : req.body[field]));
+    const setClause = fields.map((field, index) => `${field} = $${index + 1}`).join(', ');
+
+    const outcome = await pool.withTransaction(async (client) => {
+      const previous = await findPharmacyMedicine(client, medicine_id, pharmacy_id);
+      if (!previous) {
+        return null;
+      }
+
+      const batch = await client.query(
+        `UPDATE medicine_batches SET ${setClause} 
+         WHERE batch_id = $${fields.length + 1} AND medicine_id = $${fields.length + 2} RETURNING *`,
+        [...values, batch_id, medicine_id]
+      );
+
+      if (batch.rows.length === 0) {
+        return null;
+      }
+
+      const medicine = await syncMedicineStock(client, medicine_id, {
+        reason: 'adjustment',
+        actorType: 'pharmacy',
+        actorId: pharmacy_id,
+        batchNumber: batch.rows[0].batch_number,
+        note: req.body.note
+      });
+      return { previous, medicine, batch: batch.rows[0] };
+    });
+
+    if (!outcome) {
+      return res.status(404).json({ success: false, message: 'Batch not found' });
+    }
+
+    await announceStockChange(outcome.previous, outcome.medicine);
+
+    res.json({
+      success: true,
+      message: 'Batch updated successfully',
+      data: { batch: outcome.batch, medicine: outcome.medicine }
+    });
+  } catch (error) {
+    if (isDuplicateBatch(error)) {
+      return res.status(409).json({ success: false, message: 'A batch with this number already exists for this medicine' });
+    }
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Remove a Batch (Pharmacy)
+const deleteMedicineBatch = async (req, res) => {
+  try {
+    const { medicine_id, batch_id } = req.params;
+    const pharmacy_id = req.user.id;
+
+    const outcome = await pool.withTransaction(async (client) => {
+      const previous = await findPharmacyMedicine(client, medicine_id, pharmacy_id);
+      if (!previous) {
+        return null;
+      }
+
+      const batch = await client.query(
+        'DELETE FROM medicine_batches WHERE batch_id = $1 AND medicine_id = $2 RETURNING *',
+        [batch_id, medicine_id]
+      );
+
+      if (batch.rows.length === 0) {
+        return null;
+      }
+
+      const medicine = await syncMedicineStock(client, medicine_id, {
+        reason: 'adjustment',
+        actorType: 'pharmacy',
+        actorId: pharmacy_id,
+        batchNumber: batch.rows[0].batch_number,
+        note: req.body.note || 'Batch removed'
+      });
+      return { previous, medicine };
+    });
+
+    if (!outcome) {
+      return res.status(404).json({ success: false, message: 'Batch not found' });
+    }
+
+    await announceStockChange(outcome.previous, outcome.medicine);
+
+    res.json({
+      success: true,
+      message: 'Batch deleted successfully',
+      data: { medicine: outcome.medicine }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Dispense Stock First-Expiry-First-Out (Pharmacy)
+const dispenseMedicine = async (req, res) => {
+  try {
+    const { medicine_id } = req.params;
+    const quantity = Number(req.body.quantity);
+    const pharmacy_id = req.user.id;
+
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      return res.status(400).json({ success: false, message: 'quantity must be a positive whole number' });
+    }
+
+    const outcome = await pool.withTransaction(async (client) => {
+      const previous = await findPharmacyMedicine(client, medicine_id, pharmacy_id);
+      if (!previous) {
+        return null;
+      }
+
+      await ensureOpeningBatch(client, previous);
+      const consumed = await consumeStockFefo(client, medicine_id, quantity);
+      const medicine = await syncMedicineStock(client, medicine_id, {
+        reason: 'sale',
+        actorType: 'pharmacy',
+        actorId: pharmacy_id,
+        batchNumber: consumed.length === 1 ? consumed[0].batch_number : null,
+        note: req.body.note
+      });
+      return { previous, medicine, consumed };
+    });
+
+    if (!outcome) {
+      return res.status(404).json({ success: false, message: 'Medicine not found' });
+    }
+
+    await announceStockChange(outcome.previous, outcome.medicine);
+
+    res.json({
+      success: true,
+      message: 'Stock dispensed successfully',
+      data: { medicine: outcome.medicine, batches: outcome.consumed }
+    });
+  } catch (error) {
+    if (error instanceof InsufficientStockError) {
+      return res.status(409).json({ success: false, message: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Near-expiry Report (Pharmacy)
+// Batches still on hand that expire within the next `days` days, valued at purchase price
+const getExpiringStock = async (req, res) => {
+  try {
+    const pharmacy_id = req.user.id;
+    const days = req.query.days === undefined ? DEFAULT_EXPIRY_WINDOW_DAYS : Number(req.query.days);
+    const { include_expired } = req.query;
+
+    if (!Number.isInteger(days) || days < 0 || days > MAX_EXPIRY_WINDOW_DAYS) {
+      return res.status(400).json({ success: false, message: `days must be a whole number between 0 and ${MAX_EXPIRY_WINDOW_DAYS}` });
+    }
+
+    if (include_expired !== undefined && !['true', 'false'].includes(include_expired)) {
+      return res.status(400).json({ success: false, message: 'include_expired must be true or false' });
+    }
+
+    // Expired batches that still hold quantity are what pharmacists need to send back
+    const fromCondition = include_expired === 'true' ? '' : 'AND b.expiry_date >= CURRENT_DATE';
+
+    const result = await pool.query(
+      `SELECT b.batch_id, b.batch_number, b.expiry_date, b.quantity, b.purchase_price,
+              b.quantity * b.purchase_price as value_at_cost,
+              b.expiry_date - CURRENT_DATE as days_to_expiry,
+              (b.expiry_date < CURRENT_DATE) as is_expired,
+              m.medicine_id, m.medicine_name, m.generic_name, m.manufacturer, m.strength, m.dosage_form
+       FROM medicine_batches b
+       JOIN medicines m ON b.medicine_id = m.medicine_id
+       WHERE m.pharmacy_id = $1 AND b.quantity > 0
+         AND b.expiry_date <= CURRENT_DATE + $2::int ${fromCondition}
+       ORDER BY b.expiry_date, m.medicine_name, b.batch_id`,
+      [pharmacy_id, days]
+    );
+
+    const summary = result.rows.reduce((totals, row) => ({
+      total_quantity: totals.total_quantity + row.quantity,
+      total_value_at_cost: totals.total_value_at_cost + Number(row.value_at_cost || 0)
+    }), { total_quantity: 0, total_value_at_cost: 0 });
+    summary.total_value_at_cost = Number(summary.total_value_at_cost.toFixed(2));
+
+    res.json({
+      success: true,
+      count: result.rows.length,
+      days,
+      summary,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+module.exports = {
+  getMedicineBatches,
+  addMedicineBatch,
+  updateMedicineBatch,
+  deleteMedicineBatch,
+  dispenseMedicine,
+  getExpiringStock
+};
+
+// ============================================
+// 25. utils/expirySweep.js - Scheduled Expired Stock Sweep
+// ============================================
+// A medicine's expiry_date is the nearest expiry still in stock, so once that date passes
+// the medicine is re-synced: expired batches drop out of stock_quantity, and the sync
+// logs the expiry and notifies the pharmacy to pull them from the shelf.
+const pool = require('../config/db');
+const { syncMedicineStock, ensureOpeningBatch, announceStockChange } = require('./inventory');
+
+const DEFAULT_SWEEP_INTERVAL_MINUTES = 60;
+
+let sweepRunning = false;
+
+const expireMedicineStock = async (medicineId) => {
+  const outcome = await pool.withTransaction(async (client) => {
+    const current = await client.query(
+      'SELECT * FROM medicines WHERE medicine_id = $1 AND expiry_date < CURRENT_DATE FOR UPDATE',
+      [medicineId]
+    );
+    const previous = current.rows[0];
+    if (!previous) {
+      return null;
+    }
+
+    await ensureOpeningBatch(client, previous);
+
+    const medicine = await syncMedicineStock(client, medicineId, { reason: 'expiry', actorType: 'system' });
+    return { previous, medicine };
+  });
+
+  if (outcome) {
+    await announceStockChange(outcome.previous, outcome.medicine);
+  }
+};
+
+// Re-sync every medicine whose nearest expiry has passed.
+// One failing medicine is logged and skipped so the rest still get swept.
+const sweepExpiredStock = async () => {
+  if (sweepRunning) {
+    return;
+  }
+  sweepRunning = true;
+
+  try {
+    const due = await pool.query(
+      'SELECT medicine_id FROM medicines WHERE expiry_date < CURRENT_DATE ORDER BY medicine_id'
+    );
+
+    for (const row of due.rows) {
+      try {
+        await expireMedicineStock(row.medicine_id);
+      } catch (error) {
+        console.error(`Failed to expire stock for medicine ${row.medicine_id}:`, error);
+      }
+    }
+  } catch (error) {
+    console.error('Expired stock sweep failed:', error);
+  } finally {
+    sweepRunning = false;
+  }
+};
+
+// Run once on startup, then every EXPIRY_SWEEP_INTERVAL_MINUTES
+const startExpirySweep = () => {
+  const minutes = Number(process.env.EXPIRY_SWEEP_INTERVAL_MINUTES) || DEFAULT_SWEEP_INTERVAL_MINUTES;
+  sweepExpiredStock();
+  setInterval(sweepExpiredStock, minutes * 60 * 1000).unref();
+};
+
+module.exports = {
+  sweepExpiredStock,
+  startExpirySweep
+};
+
+// ============================================
+// 26. utils/csv.js - CSV Export
+// ============================================
+// Cells that look like spreadsheet formulas are prefixed with a quote so an exported
+// file cannot run anything when opened in Excel.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Dates are written in local time; DATE columns arrive as local midnight and keep just the day
+const formatCsvDate = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString();
+  return local.endsWith('T00:00:00.000Z') ? local.slice(0, 10) : local.slice(0, 19).replace('T', ' ');
+};
+
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? formatCsvDate(value) : String(value);
+
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text) && Number.isNaN(Number(text))) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Rows to CSV text with a header line; columns picks and orders the fields
+const toCsv = (rows, columns) => {
+  const lines = [columns.join(',')];
+  rows.forEach((row) => {
+    lines.push(columns.map((column) => escapeCsvValue(row[column])).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+const sendCsv = (res, filename, rows, columns) => {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(toCsv(rows, columns));
+};
+
+// CSV text to an array of rows, each an array of cell strings.
+// Handles quoted cells with commas, doubled quotes and line breaks, and a leading BOM.
+const parseCsv = (text) => {
+  const input = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+module.exports = {
+  formatCsvDate,
+  toCsv,
+  sendCsv,
+  parseCsv
+};
+
+// ============================================
+// 27. middleware/upload.js - File Uploads
+// ============================================
+const multer = require('multer');
+
+const MAX_SPREADSHEET_BYTES = 5 * 1024 * 1024;
+const MAX_PRESCRIPTION_BYTES = 5 * 1024 * 1024;
+
+// Files are kept in memory; spreadsheets are parsed straight from the buffer and
+// prescriptions are handed to the storage backend by the controller
+const spreadsheetMulter = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_SPREADSHEET_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => cb(null, /\.(csv|xlsx)$/i.test(file.originalname))
+});
+
+const prescriptionMulter = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_PRESCRIPTION_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => cb(null, /\.(jpe?g|png|pdf)$/i.test(file.originalname))
+});
+
+// Single file in the "file" form field. Upload problems are answered with a 400
+// here instead of reaching the generic error handler.
+const singleFileUpload = (uploader, maxBytes) => (req, res, next) => {
+  uploader.single('file')(req, res, (error) => {
+    if (error) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `File is larger than ${maxBytes / (1024 * 1024)} MB`
+        : error.message;
+      return res.status(400).json({ success: false, message });
+    }
+    next();
+  });
+};
+
+const spreadsheetUpload = singleFileUpload(spreadsheetMulter, MAX_SPREADSHEET_BYTES);
+const prescriptionUpload = singleFileUpload(prescriptionMulter, MAX_PRESCRIPTION_BYTES);
+
+module.exports = {
+  spreadsheetUpload,
+  prescriptionUpload
+};
+
+// ============================================
+// 28. utils/spreadsheet.js - CSV and Excel Files
+// ============================================
+const ExcelJS = require('exceljs');
+const { formatCsvDate, parseCsv } = require('./csv');
+
+// Header cells become field names: "Medicine Name" -> "medicine_name"
+const toFieldName = (header) => header.trim().toLowerCase().replace(/\s+/g, '_');
+
+// Flatten an Excel cell value (dates, formulas, rich text, links) to text
+const cellText = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString().slice(0, 10);
+  }
+  if (typeof value === 'object') {
+    if (value.richText) {
+      return value.richText.map((part) => part.text).join('');
+    }
+    return cellText(value.result !== undefined ? value.result : value.text);
+  }
+  return String(value);
+};
+
+const readGrid = async (file) => {
+  if (/\.xlsx$/i.test(file.originalname)) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(file.buffer);
+    const grid = [];
+    workbook.worksheets[0].eachRow({ includeEmpty: true }, (row, rowNumber) => {
+      grid[rowNumber - 1] = row.values.slice(1).map(cellText);
+    });
+    return Array.from(grid, (row) => row || []);
+  }
+  return parseCsv(file.buffer.toString('utf8'));
+};
+
+// Read the first sheet of an uploaded CSV or XLSX file. The first row is the header;
+// returns { headers, rows: [{ rowNumber, values: { field: text } }] } without blank lines.
+// A quote that the CSV export put in front of formula-like text is removed again.
+const readSpreadsheet = async (file) => {
+  const [headerRow = [], ...dataRows] = await readGrid(file);
+  const headers = headerRow.map((header) => toFieldName(String(header)));
+  const rows = [];
+
+  dataRows.forEach((cells, index) => {
+    if (cells.every((cell) => String(cell).trim() === '')) {
+      return;
+    }
+
+    const values = {};
+    headers.forEach((header, column) => {
+      if (header) {
+        values[header] = String(cells[column] ?? '').trim().replace(/^'(?=[=+\-@])/, '');
+      }
+    });
+    rows.push({ rowNumber: index + 2, values });
+  });
+
+  return { headers: headers.filter(Boolean), rows };
+};
+
+const sendXlsx = async (res, filename, rows, columns, sheetName) => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(sheetName);
+  sheet.columns = columns.map((column) => ({ header: column, key: column }));
+
+  rows.forEach((row) => {
+    const values = {};
+    columns.forEach((column) => {
+      values[column] = row[column] instanceof Date ? formatCsvDate(row[column]) : row[column];
+    });
+    sheet.addRow(values);
+  });
+
+  const buffer = await workbook.xlsx.writeBuffer();
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(Buffer.from(buffer));
+};
+
+module.exports = {
+  readSpreadsheet,
+  sendXlsx
+};
+
+// ============================================
+// 29. controllers/stockLedgerController.js
+// ============================================
+const pool = require('../config/db');
+const { STOCK_MOVEMENT_REASONS } = require('../utils/inventory');
+const { parseListOptions, fetchPage, buildPagination } = require('../utils/pagination');
+const { getToday, addDays, getDayName } = require('../utils/schedule');
+
+const STOCK_HISTORY_SORTS = {
+  created_at: 'created_at',
+  quantity_change: 'quantity_change'
+};
+
+const DEFAULT_SUMMARY_DAYS = 30;
+const MAX_SUMMARY_DAYS = 366;
+
+// from/to as inclusive "YYYY-MM-DD" dates; a missing end defaults to today and
+// a missing start to DEFAULT_SUMMARY_DAYS before the end
+const parseDateRange = ({ from, to }) => {
+  if ((from !== undefined && !getDayName(from)) || (to !== undefined && !getDayName(to))) {
+    return { error: 'from and to must be dates in YYYY-MM-DD format' };
+  }
+
+  const end = to || getToday();
+  const start = from || addDays(end, -(DEFAULT_SUMMARY_DAYS - 1));
+
+  if (start > end) {
+    return { error: 'from must not be after to' };
+  }
+
+  if (addDays(start, MAX_SUMMARY_DAYS) <= end) {
+    return { error: `The date range can cover at most ${MAX_SUMMARY_DAYS} days` };
+  }
+
+  return { from: start, to: end };
+};
+
+// Stock History of a Medicine (Pharmacy)
+const getStockHistory = async (req, res) => {
+  try {
+    const { medicine_id } = req.params;
+    const { reason } = req.query;
+    const pharmacy_id = req.user.id;
+
+    if (reason !== undefined && !STOCK_MOVEMENT_REASONS.includes(reason)) {
+      return res.status(400).json({ success: false, message: `reason must be one of: ${STOCK_MOVEMENT_REASONS.join(', ')}` });
+    }
+
+    const listOptions = parseListOptions(req.query, STOCK_HISTORY_SORTS, 'created_at', { created_at: 'desc' });
+    if (listOptions.error) {
+      return res.status(400).json({ success: false, message: listOptions.error });
+    }
+
+    const medicine = await pool.query(
+      'SELECT medicine_id, medicine_name, strength, stock_quantity FROM medicines WHERE medicine_id = $1 AND pharmacy_id = $2',
+      [medicine_id, pharmacy_id]
+    );
+
+    if (medicine.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Medicine not found' });
+    }
+
+    let query = 'SELECT * FROM stock_movements WHERE medicine_id = $1 AND pharmacy_id = $2';
+    const params = [medicine_id, pharmacy_id];
+
+    if (reason) {
+      query += ' AND reason = $3';
+      params.push(reason);
+    }
+
+    const { rows, total } = await fetchPage(pool, query, params, listOptions, 'movement_id DESC');
+
+    res.json({
+      success: true,
+      count: rows.length,
+      medicine: medicine.rows[0],
+      pagination: buildPagination(total, listOptions),
+      data: rows
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Daily Stock Movement Summary (Pharmacy)
+// Net quantity per reason for each day with activity, optionally for one medicine
+const getStockMovementSummary = async (req, res) => {
+  try {
+    const pharmacy_id = req.user.id;
+    const { medicine_id } = req.query;
+
+    const range = parseDateRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ success: false, message: range.error });
+    }
+
+    if (medicine_id !== undefined && !Number.isInteger(Number(medicine_id))) {
+      return res.status(400).json({ success: false, message: 'medicine_id must be a number' });
+    }
+
+    // One column per reason; the names come from STOCK_MOVEMENT_REASONS, never the request
+    const reasonColumns = STOCK_MOVEMENT_REASONS
+      .map((reason) => `COALESCE(SUM(quantity_change) FILTER (WHERE reason = '${reason}'), 0)::int as ${reason}`)
+      .join(', ');
+
+    let query = `
+      SELECT to_char(created_at::date, 'YYYY-MM-DD') as date, ${reasonColumns},
+             SUM(quantity_change)::int as net_change, COUNT(*)::int as movements
+      FROM stock_movements
+      WHERE pharmacy_id = $1 AND created_at >= $2::date AND created_at < $3::date + 1
+    `;
+    const params = [pharmacy_id, range.from, range.to];
+
+    if (medicine_id !== undefined) {
+      query += ' AND medicine_id = $4';
+      params.push(medicine_id);
+    }
+
+    query += ' GROUP BY created_at::date ORDER BY created_at::date';
+
+    const result = await pool.query(query, params);
+
+    const totals = { net_change: 0, movements: 0 };
+    STOCK_MOVEMENT_REASONS.forEach((reason) => {
+      totals[reason] = 0;
+    });
+    result.rows.forEach((day) => {
+      Object.keys(totals).forEach((key) => {
+        totals[key] += day[key];
+      });
+    });
+
+    res.json({
+      success: true,
+      from: range.from,
+      to: range.to,
+      count: result.rows.length,
+      totals,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+module.exports = {
+  getStockHistory,
+  getStockMovementSummary
+};
+
+// ============================================
+// 30. utils/reservations.js - Click-and-collect Stock Holds
+// ============================================
+// Reserved units leave stock (first-expiry-first-out) as soon as the reservation is made,
+// so search and alerts treat them as gone. Each item remembers which batches its units
+// came from and they go back there if the reservation is rejected, cancelled or expires.
+const pool = require('../config/db');
+const { createNotification } = require('./notifications');
+const { recordStockMovement, syncMedicineStock, announceStockChange } = require('./inventory');
+
+const ACTIVE_RESERVATION_STATUSES = ['Pending', 'Accepted', 'Ready'];
+const DEFAULT_HOLD_MINUTES = 120;
+const DEFAULT_RESERVATION_SWEEP_MINUTES = 5;
+
+let reservationSweepRunning = false;
+
+const getHoldMinutes = () => Number(process.env.RESERVATION_HOLD_MINUTES) || DEFAULT_HOLD_MINUTES;
+
+// Return a reservation's held units to their batches. Run inside a transaction with the
+// reservation locked; returns [{ previous, medicine }] to pass to announceStockChange.
+const releaseReservationStock = async (db, reservation, movement) => {
+  const items = await db.query(
+    `SELECT * FROM reservation_items 
+     WHERE reservation_id = $1 AND medicine_id IS NOT NULL ORDER BY medicine_id`,
+    [reservation.reservation_id]
+  );
+
+  const changes = [];
+
+  for (const item of items.rows) {
+    const current = await db.query('SELECT * FROM medicines WHERE medicine_id = $1 FOR UPDATE', [item.medicine_id]);
+
+    // A batch deleted while the units were held is recreated
+    for (const allocation of item.batch_allocations) {
+      await db.query(
+        `INSERT INTO medicine_batches (medicine_id, batch_number, quantity, expiry_date) 
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (medicine_id, batch_number) DO UPDATE SET quantity = medicine_batches.quantity + EXCLUDED.quantity`,
+        [item.medicine_id, allocation.batch_number, allocation.quantity, allocation.expiry_date]
+      );
+    }
+
+    const medicine = await syncMedicineStock(db, item.medicine_id, { ...movement, reservationId: reservation.reservation_id });
+    changes.push({ previous: current.rows[0], medicine });
+  }
+
+  return changes;
+};
+
+// Log a collected reservation as a sale. Stock already dropped when the units were held, so
+// each item gets a zero-change 'sale' entry linked to the reservation's 'reservation' entries.
+const recordReservationSale = async (db, reservation, movement) => {
+  const items = await db.query(
+    `SELECT ri.medicine_id, ri.medicine_name, ri.quantity, m.stock_quantity
+     FROM reservation_items ri LEFT JOIN medicines m ON ri.medicine_id = m.medicine_id
+     WHERE ri.reservation_id = $1 ORDER BY ri.item_id`,
+    [reservation.reservation_id]
+  );
+
+  for (const item of items.rows) {
+    await recordStockMovement(db, { ...item, pharmacy_id: reservation.pharmacy_id }, 0, item.stock_quantity || 0, {
+      ...movement,
+      reason: 'sale',
+      reservationId: reservation.reservation_id,
+      note: `Reservation #${reservation.reservation_id} collected: ${item.quantity} units`
+    });
+  }
+};
+
+// Expire active reservations whose hold window has passed and release their stock.
+// One failing reservation is logged and skipped so the rest are still released.
+const expireReservations = async () => {
+  if (reservationSweepRunning) {
+    return;
+  }
+  reservationSweepRunning = true;
+
+  try {
+    const due = await pool.query(
+      'SELECT reservation_id FROM reservations WHERE status = ANY($1) AND hold_until < NOW() ORDER BY reservation_id',
+      [ACTIVE_RESERVATION_STATUSES]
+    );
+
+    for (const row of due.rows) {
+      try {
+        const changes = await pool.withTransaction(async (client) => {
+          const result = await client.query(
+            `SELECT * FROM reservations 
+             WHERE reservation_id = $1 AND status = ANY($2) AND hold_until < NOW() FOR UPDATE`,
+            [row.reservation_id, ACTIVE_RESERVATION_STATUSES]
+          );
+          const reservation = result.rows[0];
+          if (!reservation) {
+            return [];
+          }
+
+          await client.query(
+            "UPDATE reservations SET status = 'Expired' WHERE reservation_id = $1",
+            [reservation.reservation_id]
+          );
+
+          await createNotification(client, 'user', reservation.user_id, {
+            type: 'reservation',
+            title: 'Reservation expired',
+            message: `Reservation #${reservation.reservation_id} was not collected in time and the medicines were released.`,
+            data: { reservation_id: reservation.reservation_id, pharmacy_id: reservation.pharmacy_id, status: 'Expired' }
+          });
+
+          return releaseReservationStock(client, reservation, {
+            reason: 'release',
+            actorType: 'system',
+            note: `Reservation #${reservation.reservation_id} expired`
+          });
+        });
+
+        for (const change of changes) {
+          await announceStockChange(change.previous, change.medicine);
+        }
+      } catch (error) {
+        console.error(`Failed to expire reservation ${row.reservation_id}:`, error);
+      }
+    }
+  } catch (error) {
+    console.error('Reservation sweep failed:', error);
+  } finally {
+    reservationSweepRunning = false;
+  }
+};
+
+// Run once on startup, then every RESERVATION_SWEEP_INTERVAL_MINUTES
+const startReservationSweep = () => {
+  const minutes = Number(process.env.RESERVATION_SWEEP_INTERVAL_MINUTES) || DEFAULT_RESERVATION_SWEEP_MINUTES;
+  expireReservations();
+  setInterval(expireReservations, minutes * 60 * 1000).unref();
+};
+
+module.exports = {
+  ACTIVE_RESERVATION_STATUSES,
+  getHoldMinutes,
+  releaseReservationStock,
+  recordReservationSale,
+  expireReservations,
+  startReservationSweep
+};
+
+// ============================================
+// 31. controllers/reservationController.js
+// ============================================
+const pool = require('../config/db');
+const { SELLABLE_BATCH_SQL, syncMedicineStock, ensureOpeningBatch, consumeStockFefo, 
+        announceStockChange } = require('../utils/inventory');
+const { createNotification } = require('../utils/notifications');
+const { formatCsvDate } = require('../utils/csv');
+const { ACTIVE_RESERVATION_STATUSES, getHoldMinutes, releaseReservationStock, 
+        recordReservationSale } = require('../utils/reservations');
+const { fuzzyMatchSql } = require('../utils/fuzzySearch');
+
+const MAX_RESERVATION_ITEMS = 10;
+const MAX_ACTIVE_RESERVATIONS = 3;
+
+// Status changes the pharmacy can make; users cancel and the sweep expires
+const RESERVATION_TRANSITIONS = {
+  Pending: ['Accepted', 'Rejected'],
+  Accepted: ['Ready', 'Rejected'],
+  Ready: ['Completed', 'Rejected']
+};
+
+const RESERVATION_STATUS_MESSAGES = {
+  Accepted: 'has been accepted and is being prepared',
+  Ready: 'is ready for collection',
+  Completed: 'has been collected',
+  Rejected: 'was rejected by the pharmacy'
+};
+
+// A prescription can back a reservation while it belongs to the user, has not been
+// rejected and is still within its validity period
+const findUsablePrescription = async (db, prescriptionId, userId) => {
+  const result = await db.query(
+    `SELECT * FROM prescriptions 
+     WHERE prescription_id = $1 AND user_id = $2 AND status <> 'Rejected' AND valid_until >= CURRENT_DATE`,
+    [prescriptionId, userId]
+  );
+  return result.rows[0];
+};
+
+// A prescription item covers a product the way medicineMatcher finds it: on the product's
+// brand or generic name, and on its strength when both give one
+const PRESCRIBED_ITEM_SQL = `(${fuzzyMatchSql({ placeholder: 'pi.medicine_name', columns: ['item.medicine_name', 'item.generic_name'] })}
+  OR ${fuzzyMatchSql({ placeholder: 'pi.generic_name', columns: ['item.generic_name'] })})
+  AND (pi.strength IS NULL OR item.strength IS NULL OR REPLACE(item.strength, ' ', '') ILIKE REPLACE(pi.strength, ' ', ''))`;
+
+// Names of the { medicine_name, generic_name, strength } products the prescription does not list.
+// Scans without listed medicines are checked by the pharmacist reading the file.
+const findUnprescribedItems = async (db, prescriptionId, items) => {
+  const result = await db.query(
+    `SELECT item.medicine_name FROM UNNEST($2::text[], $3::text[], $4::text[]) as item(medicine_name, generic_name, strength)
+     WHERE EXISTS (SELECT 1 FROM prescription_items WHERE prescription_id = $1)
+       AND NOT EXISTS (SELECT 1 FROM prescription_items pi WHERE pi.prescription_id = $1 AND ${PRESCRIBED_ITEM_SQL})`,
+    [prescriptionId, ...['medicine_name', 'generic_name', 'strength'].map((field) => items.map((item) => item[field] || null))]
+  );
+  return result.rows.map((row) => row.medicine_name);
+};
+
+// Prescription-only lines of a reservation, with the generic name of the product they came from
+const findPrescriptionOnlyItems = async (db, reservationId) => {
+  const result = await db.query(
+    `SELECT ri.medicine_name, ri.strength, m.generic_name FROM reservation_items ri
+     LEFT JOIN medicines m ON ri.medicine_id = m.medicine_id
+     WHERE ri.reservation_id = $1 AND ri.requires_prescription`,
+    [reservationId]
+  );
+  return result.rows;
+};
+
+// Attach line items and the order total to each reservation
+const attachReservationItems = async (db, reservations) => {
+  const items = await db.query(
+    `SELECT item_id, reservation_id, medicine_id, medicine_name, strength, quantity, unit_price, requires_prescription
+     FROM reservation_items WHERE reservation_id = ANY($1) ORDER BY item_id`,
+    [reservations.map((reservation) => reservation.reservation_id)]
+  );
+
+  reservations.forEach((reservation) => {
+    reservation.items = items.rows.filter((item) => item.reservation_id === reservation.reservation_id);
+    reservation.total_amount = reservation.items
+      .reduce((total, item) => total + item.quantity * Number(item.unit_price), 0)
+      .toFixed(2);
+  });
+
+  return reservations;
+};
+
+// Reserve Medicines for Collection (User)
+const createReservation = async (req, res) => {
+  try {
+    const { pharmacy_id, items, notes, prescription_id } = req.body;
+    const user_id = req.user.id;
+
+    if (!pharmacy_id || !Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ success: false, message: 'pharmacy_id and at least one item are required' });
+    }
+
+    if (items.length > MAX_RESERVATION_ITEMS) {
+      return res.status(400).json({ success: false, message: `A reservation can contain at most ${MAX_RESERVATION_ITEMS} medicines` });
+    }
+
+    const quantities = new Map();
+    for (const item of items) {
+      const medicineId = Number(item && item.medicine_id);
+      const quantity = Number(item && item.quantity);
+
+      if (!Number.isInteger(medicineId) || !Number.isInteger(quantity) || quantity <= 0) {
+        return res.status(400).json({ success: false, message: 'Each item needs a medicine_id and a positive whole quantity' });
+      }
+      if (quantities.has(medicineId)) {
+        return res.status(400).json({ success: false, message: 'Each medicine can only appear once per reservation' });
+      }
+      quantities.set(medicineId, quantity);
+    }
+
+    const outcome = await pool.withTransaction(async (client) => {
+      const pharmacy = await client.query(
+        'SELECT pharmacy_id, pharmacy_name, is_active FROM pharmacies WHERE pharmacy_id = $1',
+        [pharmacy_id]
+      );
+
+      if (pharmacy.rows.length === 0 || !pharmacy.rows[0].is_active) {
+        return { status: 404, message: 'Pharmacy not found' };
+      }
+
+      const active = await client.query(
+        'SELECT COUNT(*)::int as count FROM reservations WHERE user_id = $1 AND status = ANY($2)',
+        [user_id, ACTIVE_RESERVATION_STATUSES]
+      );
+
+      if (active.rows[0].count >= MAX_ACTIVE_RESERVATIONS) {
+        return { status: 409, message: `You can have at most ${MAX_ACTIVE_RESERVATIONS} open reservations` };
+      }
+
+      // Locked in id order so concurrent reservations cannot deadlock
+      const medicines = await client.query(
+        `SELECT * FROM medicines WHERE pharmacy_id = $1 AND medicine_id = ANY($2) 
+         ORDER BY medicine_id FOR UPDATE`,
+        [pharmacy_id, [...quantities.keys()]]
+      );
+
+      const unavailable = [...quantities.keys()].filter((medicineId) => 
+        !medicines.rows.some((medicine) => medicine.medicine_id === medicineId && medicine.is_available));
+
+      if (unavailable.length > 0) {
+        return { status: 400, message: `Medicines not available at this pharmacy: ${unavailable.join(', ')}` };
+      }
+
+      const prescriptionOnly = medicines.rows.filter((medicine) => medicine.requires_prescription);
+      if (prescriptionOnly.length > 0 && !prescription_id) {
+        return { 
+          status: 400, 
+          message: `A prescription is required for: ${prescriptionOnly.map((medicine) => medicine.medicine_name).join(', ')}` 
+        };
+      }
+
+      if (prescription_id && !(await findUsablePrescription(client, prescription_id, user_id))) {
+        return { status: 400, message: 'Prescription not found, rejected or expired' };
+      }
+
+      const unprescribed = prescription_id ? await findUnprescribedItems(client, prescription_id, prescriptionOnly) : [];
+      if (unprescribed.length > 0) {
+        return { status: 400, message: `The prescription does not list: ${unprescribed.join(', ')}` };
+      }
+
+      for (const medicine of medicines.rows) {
+        await ensureOpeningBatch(client, medicine);
+      }
+
+      // Check every item before holding anything so the user sees all shortages at once
+      const stock = await client.query(
+        `SELECT medicine_id, COALESCE(SUM(quantity) FILTER (WHERE ${SELLABLE_BATCH_SQL}), 0)::int as available
+         FROM medicine_batches WHERE medicine_id = ANY($1) GROUP BY medicine_id`,
+        [[...quantities.keys()]]
+      );
+
+      const shortages = medicines.rows
+        .map((medicine) => {
+          const row = stock.rows.find((entry) => entry.medicine_id === medicine.medicine_id);
+          return {
+            medicine_id: medicine.medicine_id,
+            medicine_name: medicine.medicine_name,
+            requested: quantities.get(medicine.medicine_id),
+            available: row ? row.available : 0
+          };
+        })
+        .filter((entry) => entry.available < entry.requested);
+
+      if (shortages.length > 0) {
+        return { status: 409, message: 'Not enough stock for some medicines', shortages };
+      }
+
+      const result = await client.query(
+        `INSERT INTO reservations (user_id, pharmacy_id, hold_until, prescription_id, notes) 
+         VALUES ($1, $2, NOW() + make_interval(mins => $3), $4, $5) RETURNING *`,
+        [user_id, pharmacy_id, getHoldMinutes(), prescription_id || null, notes]
+      );
+      const reservation = result.rows[0];
+      const changes = [];
+
+      for (const medicine of medicines.rows) {
+        const quantity = quantities.get(medicine.medicine_id);
+        const consumed = await consumeStockFefo(client, medicine.medicine_id, quantity);
+        const allocations = consumed.map((batch) => ({
+          batch_number: batch.batch_number,
+          quantity: batch.quantity,
+          expiry_date: batch.expiry_date ? formatCsvDate(batch.expiry_date) : null
+        }));
+
+        await client.query(
+          `INSERT INTO reservation_items (reservation_id, medicine_id, medicine_name, strength, quantity, unit_price, 
+           requires_prescription, batch_allocations) 
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+          [reservation.reservation_id, medicine.medicine_id, medicine.medicine_name, medicine.strength, 
+           quantity, medicine.price, Boolean(medicine.requires_prescription), JSON.stringify(allocations)]
+        );
+
+        const updated = await syncMedicineStock(client, medicine.medicine_id, {
+          reason: 'reservation',
+          actorType: 'user',
+          actorId: user_id,
+          batchNumber: consumed.length === 1 ? consumed[0].batch_number : null,
+          reservationId: reservation.reservation_id,
+          note: `Reservation #${reservation.reservation_id}`
+        });
+        changes.push({ previous: medicine, medicine: updated });
+      }
+
+      await createNotification(client, 'pharmacy', reservation.pharmacy_id, {
+        type: 'reservation',
+        title: 'New reservation',
+        message: `Reservation #${reservation.reservation_id} for ${quantities.size} medicine(s) is waiting for confirmation.` +
+          (prescriptionOnly.length > 0 ? ' The attached prescription needs to be verified.' : ''),
+        data: { reservation_id: reservation.reservation_id, prescription_id: reservation.prescription_id, status: reservation.status }
+      });
+
+      return { reservation, changes };
+    });
+
+    if (!outcome.reservation) {
+      return res.status(outcome.status).json({ success: false, message: outcome.message, shortages: outcome.shortages });
+    }
+
+    for (const change of outcome.changes) {
+      await announceStockChange(change.previous, change.medicine);
+    }
+
+    const [reservation] = await attachReservationItems(pool, [outcome.reservation]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Medicines reserved successfully',
+      data: reservation
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// List Reservations (User)
+const getUserReservations = async (req, res) => {
+  try {
+    const user_id = req.user.id;
+    const { status } = req.query;
+
+    let query = `
+      SELECT r.*, p.pharmacy_name, p.address, p.city, p.phone as pharmacy_phone,
+             rx.status as prescription_status, rx.rejection_reason as prescription_rejection_reason
+      FROM reservations r
+      JOIN pharmacies p ON r.pharmacy_id = p.pharmacy_id
+      LEFT JOIN prescriptions rx ON r.prescription_id = rx.prescription_id
+      WHERE r.user_id = $1
+    `;
+    const params = [user_id];
+
+    if (status) {
+      query += ' AND r.status = $2';
+      params.push(status);
+    }
+
+    query += ' ORDER BY r.created_at DESC';
+
+    const result = await pool.query(query, params);
+    const reservations = await attachReservationItems(pool, result.rows);
+
+    res.json({
+      success: true,
+      count: reservations.length,
+      data: reservations
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Cancel Reservation (User)
+const cancelReservation = async (req, res) => {
+  try {
+    const { reservation_id } = req.params;
+    const user_id = req.user.id;
+
+    const outcome = await pool.withTransaction(async (client) => {
+      const result = await client.query(
+        'SELECT * FROM reservations WHERE reservation_id = $1 AND user_id = $2 FOR UPDATE',
+        [reservation_id, user_id]
+      );
+
+      if (result.rows.length === 0) {
+        return { status: 404, message: 'Reservation not found' };
+      }
+
+      const current = result.rows[0];
+      if (!ACTIVE_RESERVATION_STATUSES.includes(current.status)) {
+        return { status: 400, message: `Cannot cancel a ${current.status} reservation` };
+      }
+
+      const updated = await client.query(
+        "UPDATE reservations SET status = 'Cancelled' WHERE reservation_id = $1 RETURNING *",
+        [reservation_id]
+      );
+
+      const changes = await releaseReservationStock(client, current, {
+        reason: 'release',
+        actorType: 'user',
+        actorId: user_id,
+        note: `Reservation #${reservation_id} cancelled`
+      });
+
+      await createNotification(client, 'pharmacy', current.pharmacy_id, {
+        type: 'reservation',
+        title: 'Reservation cancelled',
+        message: `Reservation #${reservation_id} was cancelled by the customer.`,
+        data: { reservation_id: current.reservation_id, status: 'Cancelled' }
+      });
+
+      return { reservation: updated.rows[0], changes };
+    });
+
+    if (!outcome.reservation) {
+      return res.status(outcome.status).json({ success: false, message: outcome.message });
+    }
+
+    for (const change of outcome.changes) {
+      await announceStockChange(change.previous, change.medicine);
+    }
+
+    res.json({
+      success: true,
+      message: 'Reservation cancelled successfully',
+      data: outcome.reservation
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Attach a Replacement Prescription (User)
+const attachReservationPrescription = async (req, res) => {
+  try {
+    const { reservation_id } = req.params;
+    const { prescription_id } = req.body;
+    const user_id = req.user.id;
+
+    if (!prescription_id) {
+      return res.status(400).json({ success: false, message: 'prescription_id is required' });
+    }
+
+    const outcome = await pool.withTransaction(async (client) => {
+      const result = await client.query(
+        'SELECT * FROM reservations WHERE reservation_id = $1 AND user_id = $2 FOR UPDATE',
+        [reservation_id, user_id]
+      );
+
+      if (result.rows.length === 0) {
+        return { status: 404, message: 'Reservation not found' };
+      }
+
+      // Once accepted the pharmacy has already verified the prescription
+      const current = result.rows[0];
+      if (current.status !== 'Pending') {
+        return { status: 400, message: `Cannot change the prescription of a ${current.status} reservation` };
+      }
+
+      if (!(await findUsablePrescription(client, prescription_id, user_id))) {
+        return { status: 400, message: 'Prescription not found, rejected or expired' };
+      }
+
+      const unprescribed = await findUnprescribedItems(client, prescription_id, await findPrescriptionOnlyItems(client, reservation_id));
+      if (unprescribed.length > 0) {
+        return { status: 400, message: `The prescription does not list: ${unprescribed.join(', ')}` };
+      }
+
+      const updated = await client.query(
+        'UPDATE reservations SET prescription_id = $1 WHERE reservation_id = $2 RETURNING *',
+        [prescription_id, reservation_id]
+      );
+
+      await createNotification(client, 'pharmacy', current.pharmacy_id, {
+        type: 'prescription',
+        title: 'Prescription attached',
+        message: `A prescription was attached to reservation #${reservation_id} and needs to be verified.`,
+        data: { reservation_id: current.reservation_id, prescription_id: Number(prescription_id) }
+      });
+
+      return { reservation: updated.rows[0] };
+    });
+
+    if (!outcome.reservation) {
+      return res.status(outcome.status).json({ success: false, message: outcome.message });
+    }
+
+    res.json({
+      success: true,
+      message: 'Prescription attached successfully',
+      data: outcome.reservation
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// List Reservations (Pharmacy)
+const getPharmacyReservations = async (req, res) => {
+  try {
+    const pharmacy_id = req.user.id;
+    const { status } = req.query;
+
+    let query = `
+      SELECT r.*, u.full_name as customer_name, u.phone as customer_phone,
+             CASE WHEN rx.status = 'Approved' AND NOT EXISTS (
+               SELECT 1 FROM prescription_approvals pa WHERE pa.prescription_id = rx.prescription_id AND pa.pharmacy_id = $1
+             ) THEN 'Pending' ELSE rx.status END as prescription_status,
+             rx.valid_until as prescription_valid_until
+      FROM reservations r
+      JOIN users u ON r.user_id = u.user_id
+      LEFT JOIN prescriptions rx ON r.prescription_id = rx.prescription_id
+      WHERE r.pharmacy_id = $1
+    `;
+    const params = [pharmacy_id];
+
+    if (status) {
+      query += ' AND r.status = $2';
+      params.push(status);
+    }
+
+    query += ' ORDER BY r.hold_until';
+
+    const result = await pool.query(query, params);
+    const reservations = await attachReservationItems(pool, result.rows);
+
+    res.json({
+      success: true,
+      count: reservations.length,
+      data: reservations
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Accept, Mark Ready, Complete or Reject a Reservation (Pharmacy)
+const updateReservationStatus = async (req, res) => {
+  try {
+    const { reservation_id } = req.params;
+    const { status, pharmacy_notes } = req.body;
+    const pharmacy_id = req.user.id;
+
+    if (!RESERVATION_STATUS_MESSAGES[status]) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `Status must be one of: ${Object.keys(RESERVATION_STATUS_MESSAGES).join(', ')}` 
+      });
+    }
+
+    const outcome = await pool.withTransaction(async (client) => {
+      const result = await client.query(
+        'SELECT * FROM reservations WHERE reservation_id = $1 AND pharmacy_id = $2 FOR UPDATE',
+        [reservation_id, pharmacy_id]
+      );
+
+      if (result.rows.length === 0) {
+        return { status: 404, message: 'Reservation not found' };
+      }
+
+      const current = result.rows[0];
+      if (!(RESERVATION_TRANSITIONS[current.status] || []).includes(status)) {
+        return { status: 400, message: `Cannot change a ${current.status} reservation to ${status}` };
+      }
+
+      // Prescription-only items are not prepared or handed over without an unexpired prescription
+      // that this pharmacy approved and that lists them
+      const prescriptionOnly = status === 'Rejected' ? [] : await findPrescriptionOnlyItems(client, reservation_id);
+      if (prescriptionOnly.length > 0) {
+        const approved = await client.query(
+          `SELECT 1 FROM prescriptions p
+           JOIN prescription_approvals pa ON pa.prescription_id = p.prescription_id AND pa.pharmacy_id = $2
+           WHERE p.prescription_id = $1 AND p.status = 'Approved' AND p.valid_until >= CURRENT_DATE`,
+          [current.prescription_id, pharmacy_id]
+        );
+
+        if (approved.rows.length === 0) {
+          return { status: 409, message: 'The prescription for this reservation has to be approved first' };
+        }
+
+        const unprescribed = await findUnprescribedItems(client, current.prescription_id, prescriptionOnly);
+        if (unprescribed.length > 0) {
+          return { status: 409, message: `The prescription does not list: ${unprescribed.join(', ')}` };
+        }
+      }
+
+      // The customer gets the full hold window from the moment the order is ready
+      const updated = await client.query(
+        `UPDATE reservations SET status = $1, pharmacy_notes = COALESCE($2, pharmacy_notes),
+         hold_until = COALESCE(NOW() + make_interval(mins => $3), hold_until)
+         WHERE reservation_id = $4 RETURNING *`,
+        [status, pharmacy_notes, status === 'Ready' ? getHoldMinutes() : null, reservation_id]
+      );
+
+      let changes = [];
+      const movement = { actorType: 'pharmacy', actorId: pharmacy_id, note: `Reservation #${current.reservation_id}` };
+
+      if (status === 'Rejected') {
+        changes = await releaseReservationStock(client, current, { ...movement, reason: 'release' });
+      }
+
+      if (status === 'Completed') {
+        await recordReservationSale(client, current, movement);
+      }
+
+      await createNotification(client, 'user', current.user_id, {
+        type: 'reservation',
+        title: `Reservation ${status.toLowerCase()}`,
+        message: `Reservation #${reservation_id} ${RESERVATION_STATUS_MESSAGES[status]}.${pharmacy_notes ? ` ${pharmacy_notes}` : ''}`,
+        data: { reservation_id: current.reservation_id, pharmacy_id, status }
+      });
+
+      return { reservation: updated.rows[0], changes };
+    });
+
+    if (!outcome.reservation) {
+      return res.status(outcome.status).json({ success: false, message: outcome.message });
+    }
+
+    for (const change of outcome.changes) {
+      await announceStockChange(change.previous, change.medicine);
+    }
+
+    res.json({
+      success: true,
+      message: 'Reservation status updated successfully',
+      data: outcome.reservation
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+module.exports = {
+  createReservation,
+  getUserReservations,
+  cancelReservation,
+  attachReservationPrescription,
+  getPharmacyReservations,
+  updateReservationStatus
+};
+
+// ============================================
+// 32. utils/storage.js - Pluggable File Storage
+// ============================================
+// Controllers only see save/read/remove, so uploaded files can move to object storage
+// by registering another driver and setting STORAGE_DRIVER.
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Keys are generated here, never taken from the client, and checked before touching the
+// disk so a key can never point outside the upload directory
+const STORAGE_KEY_PATTERN = /^[a-f0-9]{32}\.[a-z0-9]+$/;
+
+const createLocalStorage = (root) => {
+  const resolveKey = (key) => {
+    if (!STORAGE_KEY_PATTERN.test(key)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return path.join(root, key);
+  };
+
+  return {
+    save: async (buffer, extension) => {
+      const key = `${crypto.randomBytes(16).toString('hex')}${extension}`;
+      await fs.mkdir(root, { recursive: true });
+      await fs.writeFile(resolveKey(key), buffer, { flag: 'wx' });
+      return key;
+    },
+    read: (key) => fs.readFile(resolveKey(key)),
+    remove: (key) => fs.rm(resolveKey(key), { force: true })
+  };
+};
+
+const STORAGE_DRIVERS = {
+  local: () => createLocalStorage(path.resolve(process.env.UPLOAD_DIR || 'uploads'))
+};
+
+let storage = null;
+
+const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+    if (!STORAGE_DRIVERS[driver]) {
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}"`);
+    }
+    storage = STORAGE_DRIVERS[driver]();
+  }
+  return storage;
+};
+
+// Register another backend, e.g. registerStorageDriver('s3', () => ({ save, read, remove }))
+const registerStorageDriver = (name, factory) => {
+  STORAGE_DRIVERS[name] = factory;
+  storage = null;
+};
+
+module.exports = {
+  createLocalStorage,
+  getStorage,
+  registerStorageDriver
+};
+
+// ============================================
+// 33. controllers/prescriptionController.js
+// ============================================
+const pool = require('../config/db');
+const { getStorage } = require('../utils/storage');
+const { createNotification } = require('../utils/notifications');
+const { ACTIVE_RESERVATION_STATUSES } = require('../utils/reservations');
+const { formatCsvDate } = require('../utils/csv');
+const { getToday, addDays, getDayName } = require('../utils/schedule');
+const { parseGeoQuery } = require('../utils/geo');
+const { toSearchQuery, matchMedicineList } = require('../utils/medicineMatcher');
+
+const DEFAULT_PRESCRIPTION_VALIDITY_DAYS = 30;
+const MAX_PRESCRIPTION_ITEMS = 20;
+
+// Doctors have to say how each medicine is taken and for how long
+const DOCTOR_ITEM_FIELDS = ['medicine_name', 'dosage', 'duration'];
+const OPTIONAL_ITEM_FIELDS = ['generic_name', 'strength', 'dosage', 'duration'];
+
+// Uploads are identified by their first bytes rather than the name the client sent
+const PRESCRIPTION_FILE_TYPES = [
+  { mimeType: 'application/pdf', extension: '.pdf', signature: [0x25, 0x50, 0x44, 0x46] },
+  { mimeType: 'image/png', extension: '.png', signature: [0x89, 0x50, 0x4e, 0x47] },
+  { mimeType: 'image/jpeg', extension: '.jpg', signature: [0xff, 0xd8, 0xff] }
+];
+
+const detectFileType = (buffer) => PRESCRIPTION_FILE_TYPES.find((type) => 
+  type.signature.every((byte, index) => buffer[index] === byte));
+
+const getValidityDays = () => Number(process.env.PRESCRIPTION_VALIDITY_DAYS) || DEFAULT_PRESCRIPTION_VALIDITY_DAYS;
+
+// Items arrive as an array in JSON bodies and as a JSON string in multipart forms
+const parsePrescriptionItems = (items, requiredFields = ['medicine_name']) => {
+  if (items === undefined || items === '') {
+    return { items: [] };
+  }
+
+  let list = items;
+  if (typeof items === 'string') {
+    try {
+      list = JSON.parse(items);
+    } catch (error) {
+      return { error: 'items must be a JSON array' };
+    }
+  }
+
+  if (!Array.isArray(list)) {
+    return { error: 'items must be an array' };
+  }
+  if (list.length > MAX_PRESCRIPTION_ITEMS) {
+    return { error: `A prescription can list at most ${MAX_PRESCRIPTION_ITEMS} medicines` };
+  }
+
+  for (const item of list) {
+    const missing = requiredFields.find((field) => !item || typeof item[field] !== 'string' || !item[field].trim());
+    if (missing) {
+      return { error: `Each item needs a ${missing}` };
+    }
+    const notText = OPTIONAL_ITEM_FIELDS.find((field) => item[field] !== undefined && item[field] !== null && typeof item[field] !== 'string');
+    if (notText) {
+      return { error: `Item ${notText} must be a string` };
+    }
+    if (item.quantity !== undefined && item.quantity !== null && !(Number.isInteger(item.quantity) && item.quantity > 0)) {
+      return { error: 'Item quantity must be a positive whole number' };
+    }
+  }
+
+  return { items: list };
+};
+
+const insertPrescriptionItems = async (db, prescriptionId, items) => {
+  for (const item of items) {
+    await db.query(
+      `INSERT INTO prescription_items (prescription_id, medicine_name, generic_name, strength, dosage, duration, quantity) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [prescriptionId, item.medicine_name.trim(), item.generic_name, item.strength, item.dosage, item.duration, item.quantity]
+    );
+  }
+};
+
+// Attach prescribed medicines and hide the storage key
+const attachPrescriptionItems = async (db, prescriptions) => {
+  const items = await db.query(
+    `SELECT item_id, prescription_id, medicine_name, generic_name, strength, dosage, duration, quantity
+     FROM prescription_items WHERE prescription_id = ANY($1) ORDER BY item_id`,
+    [prescriptions.map((prescription) => prescription.prescription_id)]
+  );
+
+  return prescriptions.map(({ file_key, ...prescription }) => ({
+    ...prescription,
+    has_file: Boolean(file_key),
+    items: items.rows.filter((item) => item.prescription_id === prescription.prescription_id)
+  }));
+};
+
+const sendPrescriptionFile = async (res, prescription) => {
+  if (!prescription.file_key) {
+    return res.status(404).json({ success: false, message: 'This prescription has no uploaded file' });
+  }
+
+  const type = PRESCRIPTION_FILE_TYPES.find((entry) => entry.mimeType === prescription.mime_type);
+  const file = await getStorage().read(prescription.file_key);
+
+  res.setHeader('Content-Type', prescription.mime_type);
+  res.setHeader('Content-Disposition', `inline; filename="prescription-${prescription.prescription_id}${type ? type.extension : ''}"`);
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.send(file);
+};
+
+// Upload a Prescription Scan or Enter an E-prescription (User)
+const uploadPrescription = async (req, res) => {
+  let fileKey = null;
+
+  try {
+    const { doctor_name, doctor_registration, issued_on, valid_until } = req.body;
+    const user_id = req.user.id;
+
+    const parsed = parsePrescriptionItems(req.body.items);
+    if (parsed.error) {
+      return res.status(400).json({ success: false, message: parsed.error });
+    }
+
+    if (!req.file && parsed.items.length === 0) {
+      return res.status(400).json({ success: false, message: 'Upload a prescription file or list the prescribed medicines' });
+    }
+
+    const fileType = req.file ? detectFileType(req.file.buffer) : null;
+    if (req.file && !fileType) {
+      return res.status(400).json({ success: false, message: 'Prescription file must be a PDF, PNG or JPEG' });
+    }
+
+    const today = getToday();
+    const issuedOn = issued_on || today;
+    if (!getDayName(issuedOn) || (valid_until && !getDayName(valid_until))) {
+      return res.status(400).json({ success: false, message: 'issued_on and valid_until must be dates in YYYY-MM-DD format' });
+    }
+
+    if (issuedOn > today) {
+      return res.status(400).json({ success: false, message: 'issued_on cannot be in the future' });
+    }
+
+    const validUntil = valid_until || addDays(issuedOn, getValidityDays());
+    if (validUntil < today) {
+      return res.status(400).json({ success: false, message: 'This prescription has already expired' });
+    }
+
+    if (req.file) {
+      fileKey = await getStorage().save(req.file.buffer, fileType.extension);
+    }
+
+    const prescription = await pool.withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO prescriptions (user_id, source, doctor_name, doctor_registration, issued_on, valid_until, 
+         file_key, file_name, mime_type, file_size) 
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *`,
+        [user_id, req.file ? 'upload' : 'electronic', doctor_name, doctor_registration, issuedOn, validUntil,
+         fileKey, req.file ? req.file.originalname : null, fileType ? fileType.mimeType : null, req.file ? req.file.size : null]
+      );
+
+      await insertPrescriptionItems(client, result.rows[0].prescription_id, parsed.items);
+      return result.rows[0];
+    });
+
+    const [data] = await attachPrescriptionItems(pool, [prescription]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Prescription uploaded successfully',
+      data
+    });
+  } catch (error) {
+    // Don't keep a file nothing points to
+    if (fileKey) {
+      await getStorage().remove(fileKey).catch((removeError) => console.error(removeError));
+    }
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// List Prescriptions (User)
+const getUserPrescriptions = async (req, res) => {
+  try {
+    const user_id = req.user.id;
+    const { status } = req.query;
+
+    let query = `
+      SELECT p.*, h.hospital_name, (p.status <> 'Rejected' AND p.valid_until >= CURRENT_DATE) as is_usable
+      FROM prescriptions p
+      LEFT JOIN hospitals h ON p.hospital_id = h.hospital_id
+      WHERE p.user_id = $1
+    `;
+    const params = [user_id];
+
+    if (status) {
+      query += ' AND p.status = $2';
+      params.push(status);
+    }
+
+    query += ' ORDER BY p.created_at DESC';
+
+    const result = await pool.query(query, params);
+    const prescriptions = await attachPrescriptionItems(pool, result.rows);
+
+    res.json({
+      success: true,
+      count: prescriptions.length,
+      data: prescriptions
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Pharmacies Stocking the Prescribed Medicines (User)
+// Each item also carries the searchMedicines parameters that find it on its own
+const getPrescriptionPharmacies = async (req, res) => {
+  try {
+    const { prescription_id } = req.params;
+    const { city } = req.query;
+    const user_id = req.user.id;
+
+    const geo = parseGeoQuery(req.query);
+    if (geo && geo.error) {
+      return res.status(400).json({ success: false, message: geo.error });
+    }
+
+    const result = await pool.query(
+      'SELECT * FROM prescriptions WHERE prescription_id = $1 AND user_id = $2',
+      [prescription_id, user_id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Prescription not found' });
+    }
+
+    const [prescription] = await attachPrescriptionItems(pool, result.rows);
+    if (prescription.items.length === 0) {
+      return res.status(400).json({ success: false, message: 'This prescription does not list any medicines to search for' });
+    }
+
+    const { total_pharmacies, complete_count, pharmacies, split_suggestions } = 
+      await matchMedicineList(pool, prescription.items, { city, geo });
+
+    res.json({
+      success: true,
+      count: pharmacies.length,
+      total_pharmacies,
+      complete_count,
+      data: {
+        prescription_id: prescription.prescription_id,
+        items: prescription.items.map((item) => ({ ...item, search: toSearchQuery(item) })),
+        pharmacies,
+        split_suggestions
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Download Own Prescription File (User)
+const downloadUserPrescription = async (req, res) => {
+  try {
+    const { prescription_id } = req.params;
+    const user_id = req.user.id;
+
+    const result = await pool.query(
+      'SELECT * FROM prescriptions WHERE prescription_id = $1 AND user_id = $2',
+      [prescription_id, user_id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Prescription not found' });
+    }
+
+    await sendPrescriptionFile(res, result.rows[0]);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Delete Prescription (User)
+const deletePrescription = async (req, res) => {
+  try {
+    const { prescription_id } = req.params;
+    const user_id = req.user.id;
+
+    const outcome = await pool.withTransaction(async (client) => {
+      const result = await client.query(
+        'SELECT * FROM prescriptions WHERE prescription_id = $1 AND user_id = $2 FOR UPDATE',
+        [prescription_id, user_id]
+      );
+
+      if (result.rows.length === 0) {
+        return { status: 404, message: 'Prescription not found' };
+      }
+
+      const inUse = await client.query(
+        'SELECT 1 FROM reservations WHERE prescription_id = $1 AND status = ANY($2) LIMIT 1',
+        [prescription_id, ACTIVE_RESERVATION_STATUSES]
+      );
+
+      if (inUse.rows.length > 0) {
+        return { status: 409, message: 'Prescription is attached to an open reservation' };
+      }
+
+      await client.query('DELETE FROM prescriptions WHERE prescription_id = $1', [prescription_id]);
+      return { prescription: result.rows[0] };
+    });
+
+    if (!outcome.prescription) {
+      return res.status(outcome.status).json({ success: false, message: outcome.message });
+    }
+
+    // The row is gone either way; a file left behind only costs disk space
+    if (outcome.prescription.file_key) {
+      await getStorage().remove(outcome.prescription.file_key).catch((error) => console.error(error));
+    }
+
+    res.json({
+      success: true,
+      message: 'Prescription deleted successfully'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Each pharmacy approves a prescription for itself, so one approved elsewhere is still
+// Pending for the pharmacy with the placeholder's id
+const pharmacyStatusSql = (placeholder) => `CASE WHEN p.status = 'Approved' AND NOT EXISTS (
+  SELECT 1 FROM prescription_approvals pa WHERE pa.prescription_id = p.prescription_id AND pa.pharmacy_id = ${placeholder}
+) THEN 'Pending' ELSE p.status END`;
+
+// List Prescriptions Attached to the Pharmacy's Reservations (Pharmacy)
+const getPharmacyPrescriptions = async (req, res) => {
+  try {
+    const pharmacy_id = req.user.id;
+    const { status } = req.query;
+
+    let query = `
+      SELECT p.*, ${pharmacyStatusSql('$1')} as pharmacy_status, u.full_name as customer_name,
+             ARRAY_AGG(r.reservation_id ORDER BY r.reservation_id) as reservation_ids
+      FROM prescriptions p
+      JOIN reservations r ON r.prescription_id = p.prescription_id AND r.pharmacy_id = $1
+      JOIN users u ON p.user_id = u.user_id
+    `;
+    const params = [pharmacy_id];
+
+    if (status) {
+      query += ` WHERE ${pharmacyStatusSql('$1')} = $2`;
+      params.push(status);
+    }
+
+    query += ' GROUP BY p.prescription_id, u.full_name ORDER BY p.created_at';
+
+    const result = await pool.query(query, params);
+    const prescriptions = await attachPrescriptionItems(pool, result.rows);
+
+    res.json({
+      success: true,
+      count: prescriptions.length,
+      data: prescriptions
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Pharmacies only see prescriptions attached to one of their reservations
+const findPharmacyPrescription = async (db, prescriptionId, pharmacyId) => {
+  const result = await db.query(
+    `SELECT p.*, p.valid_until < CURRENT_DATE as is_expired, ${pharmacyStatusSql('$2')} as pharmacy_status
+     FROM prescriptions p
+     WHERE p.prescription_id = $1 
+       AND EXISTS (SELECT 1 FROM reservations r WHERE r.prescription_id = p.prescription_id AND r.pharmacy_id = $2)
+     FOR UPDATE`,
+    [prescriptionId, pharmacyId]
+  );
+  return result.rows[0] || null;
+};
+
+// Download Prescription File (Pharmacy)
+const downloadPharmacyPrescription = async (req, res) => {
+  try {
+    const prescription = await findPharmacyPrescription(pool, req.params.prescription_id, req.user.id);
+
+    if (!prescription) {
+      return res.status(404).json({ success: false, message: 'Prescription not found' });
+    }
+
+    await sendPrescriptionFile(res, prescription);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Approve or Reject a Prescription (Pharmacy)
+const reviewPrescription = async (req, res) => {
+  try {
+    const { prescription_id } = req.params;
+    const { status, rejection_reason } = req.body;
+    const pharmacy_id = req.user.id;
+
+    if (!['Approved', 'Rejected'].includes(status)) {
+      return res.status(400).json({ success: false, message: 'Status must be Approved or Rejected' });
+    }
+
+    if (status === 'Rejected' && !(rejection_reason && rejection_reason.trim())) {
+      return res.status(400).json({ success: false, message: 'rejection_reason is required when rejecting a prescription' });
+    }
+
+    const outcome = await pool.withTransaction(async (client) => {
+      const current = await findPharmacyPrescription(client, prescription_id, pharmacy_id);
+
+      if (!current) {
+        return { status: 404, message: 'Prescription not found' };
+      }
+
+      if (current.pharmacy_status !== 'Pending') {
+        return { status: 400, message: `Prescription has already been ${current.pharmacy_status.toLowerCase()}` };
+      }
+
+      // Another pharmacy's approval stands; this one can still reject its own reservation
+      if (status === 'Rejected' && current.status === 'Approved') {
+        return { status: 409, message: 'Prescription was approved by another pharmacy; reject the reservation instead' };
+      }
+
+      if (status === 'Approved' && current.is_expired) {
+        return { status: 400, message: 'Prescription has expired' };
+      }
+
+      if (status === 'Approved') {
+        await client.query(
+          'INSERT INTO prescription_approvals (prescription_id, pharmacy_id) VALUES ($1, $2)',
+          [prescription_id, pharmacy_id]
+        );
+      }
+
+      const updated = await client.query(
+        `UPDATE prescriptions SET status = $1, rejection_reason = $2, reviewed_by = $3, reviewed_at = NOW()
+         WHERE prescription_id = $4 RETURNING *`,
+        [status, status === 'Rejected' ? rejection_reason.trim() : null, pharmacy_id, prescription_id]
+      );
+
+      await createNotification(client, 'user', current.user_id, {
+        type: 'prescription',
+        title: `Prescription ${status.toLowerCase()}`,
+        message: status === 'Approved'
+          ? `Your prescription #${prescription_id} was approved by the pharmacist.`
+          : `Your prescription #${prescription_id} was rejected: ${rejection_reason.trim()}. Attach a new prescription to your reservation to continue.`,
+        data: { prescription_id: current.prescription_id, pharmacy_id, status }
+      });
+
+      return { prescription: updated.rows[0] };
+    });
+
+    if (!outcome.prescription) {
+      return res.status(outcome.status).json({ success: false, message: outcome.message });
+    }
+
+    const [data] = await attachPrescriptionItems(pool, [outcome.prescription]);
+
+    res.json({
+      success: true,
+      message: `Prescription ${status.toLowerCase()} successfully`,
+      data
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Issue Prescription for a Completed Appointment (Hospital)
+const issuePrescription = async (req, res) => {
+  try {
+    const { appointment_id } = req.params;
+    const { notes, valid_until } = req.body;
+    const hospital_id = req.user.id;
+
+    const parsed = parsePrescriptionItems(req.body.items, DOCTOR_ITEM_FIELDS);
+    if (parsed.error) {
+      return res.status(400).json({ success: false, message: parsed.error });
+    }
+
+    if (parsed.items.length === 0) {
+      return res.status(400).json({ success: false, message: 'At least one prescribed medicine is required' });
+    }
+
+    if (valid_until && !getDayName(valid_until)) {
+      return res.status(400).json({ success: false, message: 'valid_until must be a date in YYYY-MM-DD format' });
+    }
+
+    const today = getToday();
+    const validUntil = valid_until || addDays(today, getValidityDays());
+    if (validUntil < today) {
+      return res.status(400).json({ success: false, message: 'valid_until cannot be in the past' });
+    }
+
+    const outcome = await pool.withTransaction(async (client) => {
+      const appointment = await client.query(
+        `SELECT a.*, d.full_name as doctor_name FROM appointments a
+         JOIN doctors d ON a.doctor_id = d.doctor_id
+         WHERE a.appointment_id = $1 AND a.hospital_id = $2 FOR UPDATE OF a`,
+        [appointment_id, hospital_id]
+      );
+
+      if (appointment.rows.length === 0) {
+        return { status: 404, message: 'Appointment not found' };
+      }
+
+      const current = appointment.rows[0];
+      if (current.status !== 'Completed') {
+        return { status: 400, message: 'Prescriptions can only be issued for completed appointments' };
+      }
+
+      const existing = await client.query('SELECT 1 FROM prescriptions WHERE appointment_id = $1', [appointment_id]);
+      if (existing.rows.length > 0) {
+        return { status: 409, message: 'A prescription has already been issued for this appointment' };
+      }
+
+      const result = await client.query(
+        `INSERT INTO prescriptions (user_id, source, appointment_id, doctor_id, hospital_id, doctor_name, 
+         issued_on, valid_until, notes) 
+         VALUES ($1, 'doctor', $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+        [current.user_id, current.appointment_id, current.doctor_id, hospital_id, current.doctor_name, 
+         today, validUntil, notes]
+      );
+      const prescription = result.rows[0];
+
+      await insertPrescriptionItems(client, prescription.prescription_id, parsed.items);
+
+      await createNotification(client, 'user', current.user_id, {
+        type: 'prescription',
+        title: 'New prescription',
+        message: `${current.doctor_name} issued a prescription for your appointment on ${formatCsvDate(current.appointment_date)}.`,
+        data: { prescription_id: prescription.prescription_id, appointment_id: current.appointment_id }
+      });
+
+      return { prescription };
+    });
+
+    if (!outcome.prescription) {
+      return res.status(outcome.status).json({ success: false, message: outcome.message });
+    }
+
+    const [data] = await attachPrescriptionItems(pool, [outcome.prescription]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Prescription issued successfully',
+      data
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Get the Prescription Issued for an Appointment (Hospital)
+const getAppointmentPrescription = async (req, res) => {
+  try {
+    const { appointment_id } = req.params;
+    const hospital_id = req.user.id;
+
+    const result = await pool.query(
+      'SELECT * FROM prescriptions WHERE appointment_id = $1 AND hospital_id = $2',
+      [appointment_id, hospital_id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'No prescription has been issued for this appointment' });
+    }
+
+    const [data] = await attachPrescriptionItems(pool, result.rows);
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+module.exports = {
+  uploadPrescription,
+  getUserPrescriptions,
+  getPrescriptionPharmacies,
+  downloadUserPrescription,
+  deletePrescription,
+  getPharmacyPrescriptions,
+  downloadPharmacyPrescription,
+  reviewPrescription,
+  issuePrescription,
+  getAppointmentPrescription
+};
+
+// ============================================
+// 34. utils/medicineMatcher.js - Match a Medicine List to Pharmacy Stock
+// ============================================
+// Items are matched the way searchMedicines matches medicine_name and strength, so the
+// pharmacies found here are the ones a patient would find searching item by item.
+const { fuzzyMatchSql } = require('./fuzzySearch');
+const { distanceSql, withinRadiusSql } = require('./geo');
+
+const MAX_MATCHED_PHARMACIES = 20;
+const MAX_SPLIT_CANDIDATES = 20;
+const MAX_SPLIT_SUGGESTIONS = 5;
+
+const MATCHED_PRODUCT_FIELDS = [
+  'medicine_id', 'medicine_name', 'generic_name', 'manufacturer', 'dosage_form', 'strength',
+  'price', 'stock_quantity', 'requires_prescription'
+];
+
+const toMoney = (value) => Number(value.toFixed(2));
+
+// searchMedicines query parameters that find one item
+const toSearchQuery = (item) => {
+  const query = { medicine_name: item.medicine_name };
+  if (item.strength) {
+    query.strength = item.strength;
+  }
+  return query;
+};
+
+// In-stock products for one item, cheapest first. Products match on their brand or generic
+// name, and on the item's generic name when given so substitutes are offered as well.
+const findItemMatches = async (db, item, { city, geo }) => {
+  const params = [item.medicine_name];
+  const nameMatches = [fuzzyMatchSql({ placeholder: '$1', columns: ['m.medicine_name', 'm.generic_name'] })];
+
+  if (item.generic_name) {
+    params.push(item.generic_name);
+    nameMatches.push(fuzzyMatchSql({ placeholder: `$${params.length}`, columns: ['m.generic_name'] }));
+  }
+
+  let distanceColumn = '';
+  let conditions = ` AND (${nameMatches.join(' OR ')})`;
+
+  if (item.strength) {
+    params.push(item.strength.replace(/\s+/g, ''));
+    conditions += ` AND REPLACE(m.strength, ' ', '') ILIKE $${params.length}`;
+  }
+
+  if (city) {
+    params.push(`%${city}%`);
+    conditions += ` AND p.city ILIKE $${params.length}`;
+  }
+
+  if (geo) {
+    params.push(geo.lat, geo.lng, geo.radiusKm);
+    const [lat, lng, radius] = [params.length - 2, params.length - 1, params.length].map((index) => `$${index}`);
+    distanceColumn = `, ${distanceSql('p', lat, lng)} as distance_km`;
+    conditions += ` AND ${withinRadiusSql('p', lat, lng, radius)}`;
+  }
+
+  const result = await db.query(
+    `SELECT m.*, p.pharmacy_name, p.address, p.city, p.phone as pharmacy_phone, p.latitude, p.longitude${distanceColumn}
+     FROM medicines m
+     JOIN pharmacies p ON m.pharmacy_id = p.pharmacy_id
+     WHERE m.is_available = true AND m.stock_quantity > 0 AND p.is_active = true
+       AND (m.expiry_date IS NULL OR m.expiry_date >= CURRENT_DATE)${conditions}
+     ORDER BY m.price, m.medicine_id`,
+    params
+  );
+  return result.rows;
+};
+
+// The cheapest single product that covers the whole quantity. Topping up one item from
+// several brands is left to the pharmacist.
+const pickOffer = (products, quantity) => {
+  const product = products.find((entry) => entry.stock_quantity >= quantity);
+  if (!product) {
+    return null;
+  }
+
+  return {
+    medicine_id: product.medicine_id,
+    medicine_name: product.medicine_name,
+    strength: product.strength,
+    unit_price: Number(product.price),
+    line_total: toMoney(Number(product.price) * quantity)
+  };
+};
+
+// Most fully supplied items first, then the cheapest, then the nearest
+const comparePharmacies = (a, b) => b.items_supplied - a.items_supplied ||
+  a.total_cost - b.total_cost ||
+  (a.distance_km ?? Infinity) - (b.distance_km ?? Infinity) ||
+  a.pharmacy_name.localeCompare(b.pharmacy_name);
+
+// Every pharmacy holding at least one of the items, ranked. Items without a quantity
+// (common on prescriptions) count as one unit.
+const rankPharmacies = async (db, items, options) => {
+  const pharmacies = new Map();
+
+  for (const [index, item] of items.entries()) {
+    const products = await findItemMatches(db, item, options);
+
+    products.forEach((product) => {
+      if (!pharmacies.has(product.pharmacy_id)) {
+        pharmacies.set(product.pharmacy_id, {
+          pharmacy_id: product.pharmacy_id,
+          pharmacy_name: product.pharmacy_name,
+          address: product.address,
+          city: product.city,
+          phone: product.pharmacy_phone,
+          latitude: product.latitude,
+          longitude: product.longitude,
+          distance_km: product.distance_km === undefined ? null : Number(product.distance_km),
+          matches: new Map()
+        });
+      }
+
+      const { matches } = pharmacies.get(product.pharmacy_id);
+      if (!matches.has(index)) {
+        matches.set(index, []);
+      }
+      matches.get(index).push(Object.fromEntries(MATCHED_PRODUCT_FIELDS.map((field) => [field, product[field]])));
+    });
+  }
+
+  return [...pharmacies.values()]
+    .map(({ matches, ...pharmacy }) => {
+      const lines = items.map((item, index) => {
+        const products = matches.get(index) || [];
+        const quantity = item.quantity || 1;
+        const offer = pickOffer(products, quantity);
+
+        return {
+          medicine_name: item.medicine_name,
+          strength: item.strength || null,
+          quantity,
+          available_quantity: products.reduce((total, product) => total + product.stock_quantity, 0),
+          fully_supplied: offer !== null,
+          offer,
+          products
+        };
+      });
+      const supplied = lines.filter((line) => line.fully_supplied);
+
+      return {
+        ...pharmacy,
+        items_supplied: supplied.length,
+        has_all_items: supplied.length === items.length,
+        total_cost: toMoney(supplied.reduce((total, line) => total + line.offer.line_total, 0)),
+        items: lines,
+        missing_items: lines.filter((line) => !line.fully_supplied).map((line) => line.medicine_name)
+      };
+    })
+    .sort(comparePharmacies);
+};
+
+// When no single pharmacy has everything: pairs of pharmacies that together supply every
+// item, each item going to whichever of the two sells it cheaper
+const suggestSplitOrders = (pharmacies, itemCount) => {
+  if (itemCount < 2 || pharmacies.some((pharmacy) => pharmacy.has_all_items)) {
+    return [];
+  }
+
+  const candidates = pharmacies.filter((pharmacy) => pharmacy.items_supplied > 0).slice(0, MAX_SPLIT_CANDIDATES);
+  const splits = [];
+
+  candidates.forEach((first, position) => {
+    candidates.slice(position + 1).forEach((second) => {
+      const orders = [first, second].map((pharmacy) => ({
+        pharmacy_id: pharmacy.pharmacy_id,
+        pharmacy_name: pharmacy.pharmacy_name,
+        address: pharmacy.address,
+        distance_km: pharmacy.distance_km,
+        items: [],
+        subtotal: 0
+      }));
+
+      for (let index = 0; index < itemCount; index++) {
+        const offers = [first.items[index].offer, second.items[index].offer];
+        if (!offers[0] && !offers[1]) {
+          return;
+        }
+
+        const pick = !offers[1] || (offers[0] && offers[0].line_total <= offers[1].line_total) ? 0 : 1;
+        orders[pick].items.push({ ...offers[pick], quantity: first.items[index].quantity });
+        orders[pick].subtotal += offers[pick].line_total;
+      }
+
+      splits.push({
+        total_cost: toMoney(orders[0].subtotal + orders[1].subtotal),
+        max_distance_km: first.distance_km === null || second.distance_km === null 
+          ? null 
+          : Math.max(first.distance_km, second.distance_km),
+        orders: orders.map((order) => ({ ...order, subtotal: toMoney(order.subtotal) }))
+      });
+    });
+  });
+
+  return splits
+    .sort((a, b) => a.total_cost - b.total_cost || (a.max_distance_km ?? Infinity) - (b.max_distance_km ?? Infinity))
+    .slice(0, MAX_SPLIT_SUGGESTIONS);
+};
+
+// Ranked pharmacies for a list of { medicine_name, generic_name, strength, quantity } items,
+// plus two-pharmacy splits when nobody can supply the whole list.
+// Options: city (partial match) and geo from parseGeoQuery.
+const matchMedicineList = async (db, items, options = {}) => {
+  const pharmacies = await rankPharmacies(db, items, options);
+
+  return {
+    total_pharmacies: pharmacies.length,
+    complete_count: pharmacies.filter((pharmacy) => pharmacy.has_all_items).length,
+    pharmacies: pharmacies.slice(0, MAX_MATCHED_PHARMACIES),
+    split_suggestions: suggestSplitOrders(pharmacies, items.length)
+  };
+};
+
+module.exports = {
+  toSearchQuery,
+  matchMedicineList
+};
+
+// ============================================
+// 35. utils/sessions.js - Access and Refresh Tokens
+// ============================================
+// Every login starts a session. Access tokens are short-lived JWTs naming their session,
+// so revoking the session on log out shuts them out straight away. The refresh token is a
+// random string, stored only as a hash and replaced each time it is used.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const pool = require('../config/db');
+
+const DEFAULT_ACCESS_TOKEN_EXPIRE = '15m';
+const DEFAULT_REFRESH_TOKEN_DAYS = 30;
+const STREAM_TOKEN_AUDIENCE = 'availability-stream';
+const STREAM_TOKEN_EXPIRE_SECONDS = 60;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (id, userType, sessionId) => jwt.sign(
+  { id, userType, sid: sessionId },
+  process.env.JWT_SECRET,
+  { expiresIn: process.env.ACCESS_TOKEN_EXPIRE || DEFAULT_ACCESS_TOKEN_EXPIRE }
+);
+
+// Store a new refresh token for the session and return its plain value
+const issueRefreshToken = async (db, sessionId) => {
+  const refreshToken = crypto.randomBytes(32).toString('base64url');
+  await db.query(
+    `INSERT INTO refresh_tokens (session_id, token_hash, expires_at) 
+     VALUES ($1, $2, NOW() + make_interval(days => $3))`,
+    [sessionId, hashToken(refreshToken), Number(process.env.REFRESH_TOKEN_DAYS) || DEFAULT_REFRESH_TOKEN_DAYS]
+  );
+  return refreshToken;
+};
+
+// Token fields returned by register, login and refresh
+const buildTokenResponse = (accessToken, refreshToken) => {
+  const { iat, exp } = jwt.decode(accessToken);
+  return { token: accessToken, refresh_token: refreshToken, expires_in: exp - iat };
+};
+
+// Start a session for an account that has just registered or logged in
+const createSession = (accountType, accountId, userAgent) => pool.withTransaction(async (client) => {
+  const result = await client.query(
+    'INSERT INTO auth_sessions (account_type, account_id, user_agent) VALUES ($1, $2, $3) RETURNING session_id',
+    [accountType, accountId, userAgent ? userAgent.slice(0, 255) : null]
+  );
+  const sessionId = result.rows[0].session_id;
+  const refreshToken = await issueRefreshToken(client, sessionId);
+
+  return buildTokenResponse(signAccessToken(accountId, accountType, sessionId), refreshToken);
+});
+
+// Trade a refresh token for a new access/refresh pair, or null when it is not accepted.
+// A token that was already used has leaked or been replayed, so its whole session is revoked.
+const rotateRefreshToken = (refreshToken, accountType) => pool.withTransaction(async (client) => {
+  const result = await client.query(
+    `SELECT t.token_id, t.used_at, t.expires_at < NOW() as is_expired, s.*
+     FROM refresh_tokens t
+     JOIN auth_sessions s ON t.session_id = s.session_id
+     WHERE t.token_hash = $1 FOR UPDATE OF t, s`,
+    [hashToken(refreshToken)]
+  );
+
+  const current = result.rows[0];
+  if (!current || current.account_type !== accountType || current.revoked_at || current.is_expired) {
+    return null;
+  }
+
+  if (current.used_at) {
+    await revokeSession(client, current.session_id);
+    return null;
+  }
+
+  await client.query('UPDATE refresh_tokens SET used_at = NOW() WHERE token_id = $1', [current.token_id]);
+  await client.query('UPDATE auth_sessions SET last_used_at = NOW() WHERE session_id = $1', [current.session_id]);
+  await client.query('DELETE FROM refresh_tokens WHERE session_id = $1 AND expires_at < NOW()', [current.session_id]);
+
+  const nextToken = await issueRefreshToken(client, current.session_id);
+  return buildTokenResponse(signAccessToken(current.account_id, current.account_type, current.session_id), nextToken);
+});
+
+const revokeSession = (db, sessionId) => db.query(
+  'UPDATE auth_sessions SET revoked_at = NOW() WHERE session_id = $1 AND revoked_at IS NULL',
+  [sessionId]
+);
+
+// Log an account out everywhere; returns how many sessions were still open
+const revokeAllSessions = async (db, accountType, accountId) => {
+  const result = await db.query(
+    'UPDATE auth_sessions SET revoked_at = NOW() WHERE account_type = $1 AND account_id = $2 AND revoked_at IS NULL',
+    [accountType, accountId]
+  );
+  return result.rowCount;
+};
+
+const isSessionActive = async (sessionId) => {
+  const result = await pool.query(
+    'SELECT 1 FROM auth_sessions WHERE session_id = $1 AND revoked_at IS NULL',
+    [sessionId]
+  );
+  return result.rows.length > 0;
+};
+
+// EventSource cannot send an Authorization header, so the availability stream is opened with
+// a one-minute token in its URL. access_exp lets the stream end when the access token would.
+const signStreamToken = ({ id, userType, sid, exp }) => jwt.sign(
+  { id, userType, sid, access_exp: exp },
+  process.env.JWT_SECRET,
+  { expiresIn: STREAM_TOKEN_EXPIRE_SECONDS, audience: STREAM_TOKEN_AUDIENCE }
+);
+
+// Claims of a valid stream token for an open session of the given account type, or null
+const verifyStreamToken = async (token, userType) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET, { audience: STREAM_TOKEN_AUDIENCE });
+  } catch (error) {
+    return null;
+  }
+
+  if (decoded.userType !== userType || !(await isSessionActive(decoded.sid))) {
+    return null;
+  }
+  return decoded;
+};
+
+module.exports = {
+  hashToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  isSessionActive,
+  STREAM_TOKEN_EXPIRE_SECONDS,
+  signStreamToken,
+  verifyStreamToken
+};
+
+// ============================================
+// 36. controllers/sessionController.js
+// ============================================
+const pool = require('../config/db');
+const { rotateRefreshToken, revokeSession, revokeAllSessions, STREAM_TOKEN_EXPIRE_SECONDS, 
+        signStreamToken } = require('../utils/sessions');
+
+// Refresh Access Token (one handler per account type, like the auth middleware)
+const refreshSession = (accountType) => async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+    if (typeof refresh_token !== 'string' || !refresh_token) {
+      return res.status(400).json({ success: false, message: 'refresh_token is required' });
+    }
+
+    const tokens = await rotateRefreshToken(refresh_token, accountType);
+    if (!tokens) {
+      return res.status(401).json({ success: false, message: 'Invalid or expired refresh token' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: tokens
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Log Out of the Current Session
+const logout = async (req, res) => {
+  try {
+    await revokeSession(pool, req.user.sid);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Log Out of All Sessions
+const logoutAllSessions = async (req, res) => {
+  try {
+    const { id, userType } = req.user;
+    const revoked = await revokeAllSessions(pool, userType, id);
+
+    res.json({
+      success: true,
+      message: 'Logged out of all sessions',
+      data: { sessions_revoked: revoked }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Token for Opening the Availability Stream (EventSource)
+const createStreamToken = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        stream_token: signStreamToken(req.user),
+        expires_in: STREAM_TOKEN_EXPIRE_SECONDS
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+module.exports = {
+  refreshSession,
+  logout,
+  logoutAllSessions,
+  createStreamToken
+};
+
+// ============================================
+// 37. utils/mailer.js - Pluggable Mail Transport
+// ============================================
+// Controllers only call sendMail. 'console' and 'file' are for local development; real
+// delivery (SMTP, an email API) is added with registerMailTransport and MAIL_TRANSPORT.
+// Production has no default, so reset links never end up in the server logs by accident.
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_MAIL_FROM = 'MediConnect <no-reply@mediconnect.local>';
+
+// Plain-text message; header values lose any line breaks so an address cannot add headers
+const formatMessage = ({ from, to, subject, text }) => {
+  const header = (name, value) => `${name}: ${String(value).replace(/[\r\n]+/g, ' ')}`;
+  return [
+    header('From', from),
+    header('To', to),
+    header('Subject', subject),
+    header('Date', new Date().toUTCString()),
+    '',
+    text
+  ].join('\n');
+};
+
+const createConsoleTransport = () => ({
+  send: async (message) => {
+    console.log(`📧 Outgoing mail\n${formatMessage(message)}\n`);
+  }
+});
+
+// One .eml file per message, readable in any mail client
+const createFileTransport = (dir) => ({
+  send: async (message) => {
+    const file = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`;
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, file), formatMessage(message));
+  }
+});
+
+const MAIL_TRANSPORTS = {
+  console: createConsoleTransport,
+  file: () => createFileTransport(path.resolve(process.env.MAIL_DIR || 'mail'))
+};
+
+let transport = null;
+
+const getMailTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? null : 'console');
+    if (!name) {
+      throw new Error('MAIL_TRANSPORT must be set in production');
+    }
+    if (!MAIL_TRANSPORTS[name]) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+    }
+    transport = MAIL_TRANSPORTS[name]();
+  }
+  return transport;
+};
+
+// Register another transport, e.g. registerMailTransport('smtp', () => ({ send }))
+const registerMailTransport = (name, factory) => {
+  MAIL_TRANSPORTS[name] = factory;
+  transport = null;
+};
+
+const sendMail = ({ to, subject, text }) => getMailTransport().send({
+  from: process.env.MAIL_FROM || DEFAULT_MAIL_FROM,
+  to,
+  subject,
+  text
+});
+
+module.exports = {
+  createConsoleTransport,
+  createFileTransport,
+  registerMailTransport,
+  sendMail
+};
+
+// ============================================
+// 38. utils/accountTokens.js - Email Verification and Password Reset Links
+// ============================================
+// Same idea as refresh tokens: the random token only travels in the email and the
+// database keeps its hash. Each token works once, and issuing a new one voids the old.
+const crypto = require('crypto');
+const pool = require('../config/db');
+const { hashToken } = require('./sessions');
+const { sendMail } = require('./mailer');
+
+const ACCOUNT_TABLES = {
+  user: { table: 'users', idColumn: 'user_id', nameColumn: 'full_name' },
+  hospital: { table: 'hospitals', idColumn: 'hospital_id', nameColumn: 'hospital_name' },
+  pharmacy: { table: 'pharmacies', idColumn: 'pharmacy_id', nameColumn: 'pharmacy_name' }
+};
+
+const DEFAULT_EMAIL_VERIFICATION_HOURS = 48;
+const DEFAULT_PASSWORD_RESET_MINUTES = 30;
+const DEFAULT_APP_URL = 'http://localhost:5500';
+
+const getTokenLifetimeMinutes = (purpose) => (purpose === 'password_reset'
+  ? Number(process.env.PASSWORD_RESET_MINUTES) || DEFAULT_PASSWORD_RESET_MINUTES
+  : (Number(process.env.EMAIL_VERIFICATION_HOURS) || DEFAULT_EMAIL_VERIFICATION_HOURS) * 60);
+
+// Links open verify-email.html or reset-password.html, which post the token back to the API.
+// The frontend is served apart from the API, so production has to say where it lives.
+const buildAccountLink = (page, accountType, token) => {
+  if (!process.env.APP_URL && process.env.NODE_ENV === 'production') {
+    throw new Error('APP_URL must be set in production');
+  }
+  const base = (process.env.APP_URL || DEFAULT_APP_URL).replace(/\/+$/, '');
+  return `${base}/${page}?type=${accountType}&token=${encodeURIComponent(token)}`;
+};
+
+const createAccountToken = async (db, accountType, accountId, purpose) => {
+  await db.query(
+    'DELETE FROM account_tokens WHERE account_type = $1 AND account_id = $2 AND purpose = $3 AND used_at IS NULL',
+    [accountType, accountId, purpose]
+  );
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await db.query(
+    `INSERT INTO account_tokens (account_type, account_id, purpose, token_hash, expires_at) 
+     VALUES ($1, $2, $3, $4, NOW() + make_interval(mins => $5))`,
+    [accountType, accountId, purpose, hashToken(token), getTokenLifetimeMinutes(purpose)]
+  );
+  return token;
+};
+
+// Mark a token used and return its account id, or null if it is unknown, used or expired.
+// Run inside a transaction so the account change and the token use commit together.
+const consumeAccountToken = async (client, token, accountType, purpose) => {
+  const result = await client.query(
+    `UPDATE account_tokens SET used_at = NOW() 
+     WHERE token_hash = $1 AND account_type = $2 AND purpose = $3 AND used_at IS NULL AND expires_at > NOW() 
+     RETURNING account_id`,
+    [hashToken(token), accountType, purpose]
+  );
+  return result.rows.length > 0 ? result.rows[0].account_id : null;
+};
+
+// account is a users, hospitals or pharmacies row (id, name and email columns)
+const sendVerificationEmail = async (accountType, account) => {
+  const { idColumn, nameColumn } = ACCOUNT_TABLES[accountType];
+  const token = await createAccountToken(pool, accountType, account[idColumn], 'email_verification');
+
+  await sendMail({
+    to: account.email,
+    subject: 'Verify your MediConnect email address',
+    text: `Hello ${account[nameColumn]},\n\n` +
+      `Please confirm this email address by opening the link below:\n\n${buildAccountLink('verify-email.html', accountType, token)}\n\n` +
+      `The link expires in ${getTokenLifetimeMinutes('email_verification') / 60} hours.`
+  });
+};
+
+const sendPasswordResetEmail = async (accountType, account) => {
+  const { idColumn, nameColumn } = ACCOUNT_TABLES[accountType];
+  const token = await createAccountToken(pool, accountType, account[idColumn], 'password_reset');
+
+  await sendMail({
+    to: account.email,
+    subject: 'Reset your MediConnect password',
+    text: `Hello ${account[nameColumn]},\n\n` +
+      `Someone asked to reset the password for this account. To choose a new one, open the link below:\n\n` +
+      `${buildAccountLink('reset-password.html', accountType, token)}\n\n` +
+      `The link expires in ${getTokenLifetimeMinutes('password_reset')} minutes. If you did not ask for this, ignore this email.`
+  });
+};
+
+module.exports = {
+  ACCOUNT_TABLES,
+  consumeAccountToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
+
+// ============================================
+// 39. controllers/accountController.js
+// ============================================
+const bcrypt = require('bcrypt');
+const pool = require('../config/db');
+const { ACCOUNT_TABLES, consumeAccountToken, sendVerificationEmail, sendPasswordResetEmail } = require('../utils/accountTokens');
+const { revokeAllSessions } = require('../utils/sessions');
+
+const MIN_PASSWORD_LENGTH = 6;
+
+// Confirm an Email Address (handlers per account type, like refreshSession)
+const verifyEmail = (accountType) => async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (typeof token !== 'string' || !token) {
+      return res.status(400).json({ success: false, message: 'token is required' });
+    }
+
+    const { table, idColumn } = ACCOUNT_TABLES[accountType];
+    const verified = await pool.withTransaction(async (client) => {
+      const accountId = await consumeAccountToken(client, token, accountType, 'email_verification');
+      if (!accountId) {
+        return false;
+      }
+
+      await client.query(
+        `UPDATE ${table} SET email_verified = true, updated_at = NOW() WHERE ${idColumn} = $1`,
+        [accountId]
+      );
+      return true;
+    });
+
+    if (!verified) {
+      return res.status(400).json({ success: false, message: 'Invalid or expired verification link' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Send a New Verification Email to the Logged-in Account
+const resendVerificationEmail = async (req, res) => {
+  try {
+    const { id, userType } = req.user;
+    const { table, idColumn } = ACCOUNT_TABLES[userType];
+
+    const result = await pool.query(`SELECT * FROM ${table} WHERE ${idColumn} = $1`, [id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Account not found' });
+    }
+
+    const account = result.rows[0];
+    if (account.email_verified) {
+      return res.status(409).json({ success: false, message: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(userType, account);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Request a Password Reset Link
+const forgotPassword = (accountType) => async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (typeof email !== 'string' || !email.trim()) {
+      return res.status(400).json({ success: false, message: 'email is required' });
+    }
+
+    const { table } = ACCOUNT_TABLES[accountType];
+    const result = await pool.query(
+      `SELECT * FROM ${table} WHERE email = $1 AND is_active = true`,
+      [email.trim()]
+    );
+
+    if (result.rows.length > 0) {
+      // A failed send is only logged; an error response would reveal that the account exists
+      try {
+        await sendPasswordResetEmail(accountType, result.rows[0]);
+      } catch (error) {
+        console.error('❌ Could not send password reset email:', error);
+      }
+    }
+
+    // Same answer whether or not the address is registered, so this cannot be used to probe for accounts
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Set a New Password with a Reset Link
+const resetPassword = (accountType) => async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (typeof token !== 'string' || !token) {
+      return res.status(400).json({ success: false, message: 'token is required' });
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ 
+        success: false, 
+        message: `password must be at least ${MIN_PASSWORD_LENGTH} characters` 
+      });
+    }
+
+    const { table, idColumn } = ACCOUNT_TABLES[accountType];
+    const reset = await pool.withTransaction(async (client) => {
+      const accountId = await consumeAccountToken(client, token, accountType, 'password_reset');
+      if (!accountId) {
+        return false;
+      }
+
+      // Hashed only once the link checks out, so bad tokens cost no bcrypt work
+      const salt = await bcrypt.genSalt(10);
+      const password_hash = await bcrypt.hash(password, salt);
+
+      // The link arrived by email, so the address is proven as well
+      await client.query(
+        `UPDATE ${table} SET password_hash = $1, email_verified = true, updated_at = NOW() WHERE ${idColumn} = $2`,
+        [password_hash, accountId]
+      );
+      await revokeAllSessions(client, accountType, accountId);
+      return true;
+    });
+
+    if (!reset) {
+      return res.status(400).json({ success: false, message: 'Invalid or expired password reset link' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+module.exports = {
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword
+};
+
+// ============================================
+// 40. server.js - Main Server File
+// ============================================
+const express = require('express');
+const cors = require('cors');
+require('dotenv').config();
+
+const app = express();
 
 // Middleware
 app.use(cors());
@@ -769,6 +6911,10 @@ app.use('/api/users', require('./routes/userRoutes'));
 app.use('/api/hospitals', require('./routes/hospitalRoutes'));
 app.use('/api/pharmacies', require('./routes/pharmacyRoutes'));
 
+// Background jobs
+const { startExpirySweep } = require('./utils/expirySweep');
+const { startReservationSweep } = require('./utils/reservations');
+
 // Health check
 app.get('/api/health', (req, res) => {
   res.json({ success: true, message: 'MediConnect API is running' });
@@ -789,4 +6935,6 @@ const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📍 API available at http://localhost:${PORT}/api`);
+  startExpirySweep();
+  startReservationSweep();
 });
\ No newline at end of file
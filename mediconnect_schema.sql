@@ -1,7 +1,23 @@
 -- MediConnect Database Schema for PostgreSQL
 
+-- Trigram matching for typo-tolerant search (ships with PostgreSQL contrib)
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
 -- Drop existing tables if they exist (for clean setup)
+DROP TABLE IF EXISTS account_tokens CASCADE;
+DROP TABLE IF EXISTS refresh_tokens CASCADE;
+DROP TABLE IF EXISTS auth_sessions CASCADE;
+DROP TABLE IF EXISTS reservation_items CASCADE;
+DROP TABLE IF EXISTS reservations CASCADE;
+DROP TABLE IF EXISTS prescription_approvals CASCADE;
+DROP TABLE IF EXISTS prescription_items CASCADE;
+DROP TABLE IF EXISTS prescriptions CASCADE;
+DROP TABLE IF EXISTS stock_movements CASCADE;
+DROP TABLE IF EXISTS notifications CASCADE;
+DROP TABLE IF EXISTS stock_alert_subscriptions CASCADE;
+DROP TABLE IF EXISTS schedule_exceptions CASCADE;
 DROP TABLE IF EXISTS appointments CASCADE;
+DROP TABLE IF EXISTS medicine_batches CASCADE;
 DROP TABLE IF EXISTS medicines CASCADE;
 DROP TABLE IF EXISTS doctors CASCADE;
 DROP TABLE IF EXISTS pharmacies CASCADE;
@@ -25,6 +41,7 @@ CREATE TABLE users (
     gender VARCHAR(10) CHECK (gender IN ('Male', 'Female', 'Other')),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    email_verified BOOLEAN DEFAULT FALSE,
     is_active BOOLEAN DEFAULT TRUE
 );
 
@@ -47,6 +64,7 @@ CREATE TABLE hospitals (
     longitude DECIMAL(11, 8),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    email_verified BOOLEAN DEFAULT FALSE,
     is_active BOOLEAN DEFAULT TRUE
 );
 
@@ -69,6 +87,7 @@ CREATE TABLE pharmacies (
     operating_hours VARCHAR(100),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    email_verified BOOLEAN DEFAULT FALSE,
     is_active BOOLEAN DEFAULT TRUE
 );
 
@@ -89,6 +108,7 @@ CREATE TABLE doctors (
     available_time_from TIME,
     available_time_to TIME,
     room_number VARCHAR(20),
+    slot_duration_minutes INTEGER DEFAULT 15 CHECK (slot_duration_minutes BETWEEN 5 AND 240),
     is_available BOOLEAN DEFAULT TRUE,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -109,6 +129,8 @@ CREATE TABLE medicines (
     strength VARCHAR(50), -- e.g., "500mg", "10ml"
     price DECIMAL(10, 2) NOT NULL,
     stock_quantity INTEGER NOT NULL DEFAULT 0,
+    reorder_level INTEGER NOT NULL DEFAULT 0 CHECK (reorder_level >= 0), -- Alert when stock falls below this; 0 turns alerts off
+    reorder_quantity INTEGER CHECK (reorder_quantity > 0), -- Usual order size from the distributor
     expiry_date DATE,
     requires_prescription BOOLEAN DEFAULT FALSE,
     description TEXT,
@@ -119,7 +141,7 @@ CREATE TABLE medicines (
 );
 
 -- ============================================
--- 6. APPOINTMENTS TABLE (Optional - for future extension)
+-- 6. APPOINTMENTS TABLE
 -- ============================================
 CREATE TABLE appointments (
     appointment_id SERIAL PRIMARY KEY,
@@ -138,6 +160,228 @@ CREATE TABLE appointments (
     FOREIGN KEY (hospital_id) REFERENCES hospitals(hospital_id) ON DELETE CASCADE
 );
 
+-- ============================================
+-- 7. SCHEDULE EXCEPTIONS TABLE (Doctor leave / hospital holidays)
+-- ============================================
+CREATE TABLE schedule_exceptions (
+    exception_id SERIAL PRIMARY KEY,
+    hospital_id INTEGER NOT NULL,
+    doctor_id INTEGER, -- NULL means the whole hospital is closed (e.g., public holiday)
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    reason VARCHAR(20) NOT NULL CHECK (reason IN ('Leave', 'Conference', 'Holiday', 'Other')),
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (end_date >= start_date),
+    FOREIGN KEY (hospital_id) REFERENCES hospitals(hospital_id) ON DELETE CASCADE,
+    FOREIGN KEY (doctor_id) REFERENCES doctors(doctor_id) ON DELETE CASCADE
+);
+
+-- ============================================
+-- 8. STOCK ALERT SUBSCRIPTIONS TABLE (Back-in-stock alerts)
+-- ============================================
+CREATE TABLE stock_alert_subscriptions (
+    subscription_id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    medicine_name VARCHAR(150) NOT NULL, -- matched against medicine_name or generic_name
+    city VARCHAR(50) NOT NULL,
+    is_active BOOLEAN DEFAULT TRUE,
+    last_notified_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+);
+
+-- ============================================
+-- 9. NOTIFICATIONS TABLE (In-app inbox for users, hospitals and pharmacies)
+-- ============================================
+CREATE TABLE notifications (
+    notification_id SERIAL PRIMARY KEY,
+    recipient_type VARCHAR(20) NOT NULL CHECK (recipient_type IN ('user', 'hospital', 'pharmacy')),
+    recipient_id INTEGER NOT NULL,
+    type VARCHAR(50) NOT NULL, -- e.g., "stock_alert"
+    title VARCHAR(200) NOT NULL,
+    message TEXT,
+    data JSONB,
+    is_read BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- 10. MEDICINE BATCHES TABLE (Lot tracking; medicines.stock_quantity is derived from these)
+-- ============================================
+CREATE TABLE medicine_batches (
+    batch_id SERIAL PRIMARY KEY,
+    medicine_id INTEGER NOT NULL,
+    batch_number VARCHAR(50) NOT NULL,
+    quantity INTEGER NOT NULL DEFAULT 0 CHECK (quantity >= 0),
+    expiry_date DATE,
+    purchase_price DECIMAL(10, 2),
+    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (medicine_id) REFERENCES medicines(medicine_id) ON DELETE CASCADE
+);
+
+-- ============================================
+-- 11. STOCK MOVEMENTS TABLE (Ledger of every change to medicines.stock_quantity)
+-- ============================================
+CREATE TABLE stock_movements (
+    movement_id SERIAL PRIMARY KEY,
+    pharmacy_id INTEGER NOT NULL,
+    medicine_id INTEGER, -- Set to NULL if the medicine is deleted; the name below is kept
+    medicine_name VARCHAR(150) NOT NULL,
+    batch_number VARCHAR(50),
+    quantity_change INTEGER NOT NULL, -- Negative when stock goes out
+    balance_after INTEGER NOT NULL,
+    reason VARCHAR(20) NOT NULL CHECK (reason IN ('restock', 'sale', 'adjustment', 'expiry', 'reservation', 'release')),
+    note TEXT,
+    actor_type VARCHAR(20) NOT NULL CHECK (actor_type IN ('user', 'hospital', 'pharmacy', 'system')),
+    actor_id INTEGER,
+    reservation_id INTEGER, -- Set on the hold, release and sale entries of a reservation
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (pharmacy_id) REFERENCES pharmacies(pharmacy_id) ON DELETE CASCADE,
+    FOREIGN KEY (medicine_id) REFERENCES medicines(medicine_id) ON DELETE SET NULL
+);
+
+-- ============================================
+-- 12. PRESCRIPTIONS TABLE (Uploaded scans, e-prescriptions and doctor-issued prescriptions)
+-- ============================================
+CREATE TABLE prescriptions (
+    prescription_id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    source VARCHAR(20) NOT NULL CHECK (source IN ('upload', 'electronic', 'doctor')),
+    appointment_id INTEGER UNIQUE, -- Set when issued by the hospital after an appointment
+    doctor_id INTEGER,
+    hospital_id INTEGER,
+    doctor_name VARCHAR(100),
+    doctor_registration VARCHAR(50),
+    issued_on DATE NOT NULL,
+    valid_until DATE NOT NULL,
+    file_key VARCHAR(255), -- Storage key of the uploaded image/PDF
+    file_name VARCHAR(255),
+    mime_type VARCHAR(50),
+    file_size INTEGER,
+    notes TEXT, -- Doctor's advice
+    status VARCHAR(20) DEFAULT 'Pending' CHECK (status IN ('Pending', 'Approved', 'Rejected')),
+    rejection_reason TEXT,
+    reviewed_by INTEGER, -- Pharmacy whose pharmacist last reviewed it
+    reviewed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    FOREIGN KEY (appointment_id) REFERENCES appointments(appointment_id) ON DELETE SET NULL,
+    FOREIGN KEY (doctor_id) REFERENCES doctors(doctor_id) ON DELETE SET NULL,
+    FOREIGN KEY (hospital_id) REFERENCES hospitals(hospital_id) ON DELETE SET NULL,
+    FOREIGN KEY (reviewed_by) REFERENCES pharmacies(pharmacy_id) ON DELETE SET NULL,
+    CHECK (source <> 'upload' OR file_key IS NOT NULL),
+    CHECK (valid_until >= issued_on)
+);
+
+-- ============================================
+-- 13. PRESCRIPTION ITEMS TABLE
+-- ============================================
+CREATE TABLE prescription_items (
+    item_id SERIAL PRIMARY KEY,
+    prescription_id INTEGER NOT NULL,
+    medicine_name VARCHAR(150) NOT NULL,
+    generic_name VARCHAR(150),
+    strength VARCHAR(50),
+    dosage VARCHAR(100), -- e.g. "1 tablet twice daily"
+    duration VARCHAR(50), -- e.g. "5 days"
+    quantity INTEGER CHECK (quantity > 0),
+    FOREIGN KEY (prescription_id) REFERENCES prescriptions(prescription_id) ON DELETE CASCADE
+);
+
+-- ============================================
+-- 14. PRESCRIPTION APPROVALS TABLE (Each pharmacy verifies a prescription before dispensing against it)
+-- ============================================
+CREATE TABLE prescription_approvals (
+    prescription_id INTEGER NOT NULL,
+    pharmacy_id INTEGER NOT NULL,
+    approved_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (prescription_id, pharmacy_id),
+    FOREIGN KEY (prescription_id) REFERENCES prescriptions(prescription_id) ON DELETE CASCADE,
+    FOREIGN KEY (pharmacy_id) REFERENCES pharmacies(pharmacy_id) ON DELETE CASCADE
+);
+
+-- ============================================
+-- 15. RESERVATIONS TABLE (Click-and-collect holds on pharmacy stock)
+-- ============================================
+CREATE TABLE reservations (
+    reservation_id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    pharmacy_id INTEGER NOT NULL,
+    status VARCHAR(20) DEFAULT 'Pending' CHECK (status IN ('Pending', 'Accepted', 'Ready', 'Completed', 'Rejected', 'Cancelled', 'Expired')),
+    hold_until TIMESTAMP NOT NULL, -- Stock is released automatically after this
+    prescription_id INTEGER, -- Required when any item is a prescription-only medicine
+    notes TEXT,
+    pharmacy_notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+    FOREIGN KEY (pharmacy_id) REFERENCES pharmacies(pharmacy_id) ON DELETE CASCADE,
+    FOREIGN KEY (prescription_id) REFERENCES prescriptions(prescription_id) ON DELETE SET NULL
+);
+
+-- ============================================
+-- 16. RESERVATION ITEMS TABLE
+-- ============================================
+CREATE TABLE reservation_items (
+    item_id SERIAL PRIMARY KEY,
+    reservation_id INTEGER NOT NULL,
+    medicine_id INTEGER,
+    medicine_name VARCHAR(150) NOT NULL,
+    strength VARCHAR(50),
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    unit_price DECIMAL(10, 2) NOT NULL,
+    requires_prescription BOOLEAN NOT NULL DEFAULT FALSE,
+    batch_allocations JSONB NOT NULL DEFAULT '[]', -- Batches the held units came from, to put them back on release
+    FOREIGN KEY (reservation_id) REFERENCES reservations(reservation_id) ON DELETE CASCADE,
+    FOREIGN KEY (medicine_id) REFERENCES medicines(medicine_id) ON DELETE SET NULL
+);
+
+-- ============================================
+-- 17. AUTH SESSIONS TABLE (One per login, for users, hospitals and pharmacies)
+-- ============================================
+CREATE TABLE auth_sessions (
+    session_id SERIAL PRIMARY KEY,
+    account_type VARCHAR(20) NOT NULL CHECK (account_type IN ('user', 'hospital', 'pharmacy')),
+    account_id INTEGER NOT NULL, -- users.user_id, hospitals.hospital_id or pharmacies.pharmacy_id
+    user_agent VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    revoked_at TIMESTAMP -- Set on logout; access tokens of the session stop working immediately
+);
+
+-- ============================================
+-- 18. REFRESH TOKENS TABLE (Rotated on every use)
+-- ============================================
+CREATE TABLE refresh_tokens (
+    token_id SERIAL PRIMARY KEY,
+    session_id INTEGER NOT NULL,
+    token_hash VARCHAR(64) UNIQUE NOT NULL, -- SHA-256 of the token; the token itself is never stored
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP, -- Using a token twice revokes its session
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (session_id) REFERENCES auth_sessions(session_id) ON DELETE CASCADE
+);
+
+-- ============================================
+-- 19. ACCOUNT TOKENS TABLE (Emailed single-use links: email verification and password reset)
+-- ============================================
+CREATE TABLE account_tokens (
+    token_id SERIAL PRIMARY KEY,
+    account_type VARCHAR(20) NOT NULL CHECK (account_type IN ('user', 'hospital', 'pharmacy')),
+    account_id INTEGER NOT NULL,
+    purpose VARCHAR(30) NOT NULL CHECK (purpose IN ('email_verification', 'password_reset')),
+    token_hash VARCHAR(64) UNIQUE NOT NULL, -- SHA-256 of the token; the token itself is only in the email
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- ============================================
 -- INDEXES FOR BETTER QUERY PERFORMANCE
 -- ============================================
@@ -150,11 +394,13 @@ CREATE INDEX idx_users_city ON users(city);
 CREATE INDEX idx_hospitals_city ON hospitals(city);
 CREATE INDEX idx_hospitals_pincode ON hospitals(pincode);
 CREATE INDEX idx_hospitals_name ON hospitals(hospital_name);
+CREATE INDEX idx_hospitals_location ON hospitals(latitude, longitude);
 
 -- Pharmacies indexes
 CREATE INDEX idx_pharmacies_city ON pharmacies(city);
 CREATE INDEX idx_pharmacies_pincode ON pharmacies(pincode);
 CREATE INDEX idx_pharmacies_name ON pharmacies(pharmacy_name);
+CREATE INDEX idx_pharmacies_location ON pharmacies(latitude, longitude);
 
 -- Doctors indexes
 CREATE INDEX idx_doctors_hospital ON doctors(hospital_id);
@@ -167,10 +413,58 @@ CREATE INDEX idx_medicines_name ON medicines(medicine_name);
 CREATE INDEX idx_medicines_category ON medicines(category);
 CREATE INDEX idx_medicines_available ON medicines(is_available);
 
+-- Trigram indexes for fuzzy search
+CREATE INDEX idx_medicines_name_trgm ON medicines USING GIN (medicine_name gin_trgm_ops);
+CREATE INDEX idx_medicines_generic_name_trgm ON medicines USING GIN (generic_name gin_trgm_ops);
+CREATE INDEX idx_medicines_manufacturer_trgm ON medicines USING GIN (manufacturer gin_trgm_ops);
+CREATE INDEX idx_doctors_full_name_trgm ON doctors USING GIN (full_name gin_trgm_ops);
+CREATE INDEX idx_doctors_specialization_trgm ON doctors USING GIN (specialization gin_trgm_ops);
+CREATE INDEX idx_hospitals_name_trgm ON hospitals USING GIN (hospital_name gin_trgm_ops);
+
 -- Appointments indexes
 CREATE INDEX idx_appointments_user ON appointments(user_id);
 CREATE INDEX idx_appointments_doctor ON appointments(doctor_id);
 CREATE INDEX idx_appointments_date ON appointments(appointment_date);
+CREATE INDEX idx_appointments_hospital ON appointments(hospital_id);
+
+-- One active booking per doctor slot (cancelled appointments free the slot)
+CREATE UNIQUE INDEX uq_appointments_doctor_slot ON appointments(doctor_id, appointment_date, appointment_time)
+    WHERE status <> 'Cancelled';
+
+-- Schedule exceptions indexes
+CREATE INDEX idx_schedule_exceptions_hospital ON schedule_exceptions(hospital_id, start_date, end_date);
+CREATE INDEX idx_schedule_exceptions_doctor ON schedule_exceptions(doctor_id);
+
+-- Stock alert and notification indexes
+CREATE UNIQUE INDEX uq_stock_alert_subscriptions ON stock_alert_subscriptions(user_id, LOWER(medicine_name), LOWER(city));
+CREATE INDEX idx_stock_alert_subscriptions_city ON stock_alert_subscriptions(LOWER(city)) WHERE is_active = true;
+CREATE INDEX idx_notifications_recipient ON notifications(recipient_type, recipient_id, is_read);
+
+-- Medicine batches indexes
+CREATE UNIQUE INDEX uq_medicine_batches_number ON medicine_batches(medicine_id, batch_number);
+CREATE INDEX idx_medicine_batches_expiry ON medicine_batches(medicine_id, expiry_date);
+
+-- Stock movements indexes
+CREATE INDEX idx_stock_movements_medicine ON stock_movements(medicine_id, created_at);
+CREATE INDEX idx_stock_movements_pharmacy ON stock_movements(pharmacy_id, created_at);
+CREATE INDEX idx_stock_movements_reservation ON stock_movements(reservation_id);
+
+-- Prescriptions indexes
+CREATE INDEX idx_prescriptions_user ON prescriptions(user_id);
+CREATE INDEX idx_prescriptions_hospital ON prescriptions(hospital_id);
+CREATE INDEX idx_prescription_items_prescription ON prescription_items(prescription_id);
+
+-- Reservations indexes
+CREATE INDEX idx_reservations_user ON reservations(user_id);
+CREATE INDEX idx_reservations_prescription ON reservations(prescription_id);
+CREATE INDEX idx_reservations_pharmacy ON reservations(pharmacy_id, status);
+CREATE INDEX idx_reservations_hold ON reservations(hold_until) WHERE status IN ('Pending', 'Accepted', 'Ready');
+CREATE INDEX idx_reservation_items_reservation ON reservation_items(reservation_id);
+
+-- Auth indexes
+CREATE INDEX idx_auth_sessions_account ON auth_sessions(account_type, account_id) WHERE revoked_at IS NULL;
+CREATE INDEX idx_refresh_tokens_session ON refresh_tokens(session_id);
+CREATE INDEX idx_account_tokens_account ON account_tokens(account_type, account_id, purpose) WHERE used_at IS NULL;
 
 -- ============================================
 -- TRIGGERS FOR AUTOMATIC TIMESTAMP UPDATES
@@ -204,6 +498,21 @@ CREATE TRIGGER update_medicines_updated_at BEFORE UPDATE ON medicines
 CREATE TRIGGER update_appointments_updated_at BEFORE UPDATE ON appointments
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_schedule_exceptions_updated_at BEFORE UPDATE ON schedule_exceptions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_stock_alert_subscriptions_updated_at BEFORE UPDATE ON stock_alert_subscriptions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_medicine_batches_updated_at BEFORE UPDATE ON medicine_batches
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_prescriptions_updated_at BEFORE UPDATE ON prescriptions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_reservations_updated_at BEFORE UPDATE ON reservations
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 -- ============================================
 -- SAMPLE DATA FOR TESTING (Optional)
 -- ============================================
@@ -226,4 +535,12 @@ VALUES (1, 'Dr. Sarah Johnson', 'Cardiologist', 'MD, DM Cardiology', 15, 800.00,
 
 -- Insert sample medicine (linked to pharmacy_id = 1)
 INSERT INTO medicines (pharmacy_id, medicine_name, generic_name, manufacturer, category, dosage_form, strength, price, stock_quantity, requires_prescription, is_available)
-VALUES (1, 'Paracetamol', 'Acetaminophen', 'PharmaCorp', 'Pain Relief', 'Tablet', '500mg', 50.00, 200, FALSE, TRUE);
\ No newline at end of file
+VALUES (1, 'Paracetamol', 'Acetaminophen', 'PharmaCorp', 'Pain Relief', 'Tablet', '500mg', 50.00, 200, FALSE, TRUE);
+
+-- Opening batch for the sample medicine
+INSERT INTO medicine_batches (medicine_id, batch_number, quantity, purchase_price)
+VALUES (1, 'OPENING', 200, 35.00);
+
+-- Matching ledger entry so the sample stock reconciles
+INSERT INTO stock_movements (pharmacy_id, medicine_id, medicine_name, batch_number, quantity_change, balance_after, reason, note, actor_type, actor_id)
+VALUES (1, 1, 'Paracetamol', 'OPENING', 200, 200, 'restock', 'Opening stock', 'pharmacy', 1);